@@ -1,309 +1,3357 @@
 
-const AuthService = (() => {
-    const USERS_KEY = "auth.users" // object keyed by username
-    const CURRENT_KEY = "auth.currentUser" // string username
+// -----------------------------
+// App configuration
+// -----------------------------
+const AppConfig = {
+    // "indexeddb" (falls back to localStorage when unavailable), "local" or "memory"
+    storage: "indexeddb",
+    session: {
+        ttlMs: 12 * 60 * 60 * 1000, // absolute lifetime of a browser-session login
+        rememberTtlMs: 30 * 24 * 60 * 60 * 1000, // "Remember me"
+        idleTimeoutMs: 30 * 60 * 1000,
+        rememberIdleTimeoutMs: 7 * 24 * 60 * 60 * 1000,
+        touchIntervalMs: 60 * 1000, // how often activity refreshes lastSeenAt
+    },
+    // Failed password checks, counted per username
+    throttle: {
+        freeAttempts: 2, // failures allowed before delays kick in
+        baseDelayMs: 1000, // doubles with each further failure
+        maxDelayMs: 30 * 1000,
+        maxAttempts: 5, // failures before the account locks
+        lockoutMs: 15 * 60 * 1000,
+    },
+    passwordReset: {
+        tokenTtlMs: 15 * 60 * 1000,
+    },
+    emailVerification: {
+        codeTtlMs: 24 * 60 * 60 * 1000,
+        resendCooldownMs: 60 * 1000,
+        maxAttempts: 5, // wrong codes before a new one must be requested
+        // What accounts may do before their email is verified
+        unverified: {
+            post: false,
+            comment: false,
+            like: true,
+            follow: true,
+            message: false,
+        },
+    },
+    passwordPolicy: {
+        minLength: 8,
+        requireLower: true,
+        requireUpper: true,
+        requireDigit: true,
+        requireSymbol: false,
+        // Rejected outright (compared case-insensitively)
+        banned: [
+            "password",
+            "password1",
+            "password123",
+            "passw0rd",
+            "123456",
+            "12345678",
+            "123456789",
+            "1234567890",
+            "qwerty",
+            "qwerty123",
+            "qwertyuiop",
+            "abc123",
+            "abcd1234",
+            "111111",
+            "000000",
+            "iloveyou",
+            "letmein",
+            "welcome",
+            "welcome1",
+            "admin",
+            "admin123",
+            "monkey",
+            "dragon",
+            "football",
+            "baseball",
+            "sunshine",
+            "princess",
+            "trustno1",
+            "changeme",
+        ],
+        disallowPersonalInfo: true, // username or email name inside the password
+    },
+    feed: {
+        pageSize: 20, // posts per page; more load as the reader scrolls
+    },
+    comments: {
+        maxDepth: 3, // how many levels of replies can sit under a top-level comment
+    },
+    reactions: {
+        // Offered on posts and comments; "like" is the one older builds called likes
+        choices: ["👍", "❤️", "😂", "🎉", "😮", "😢"],
+        like: "👍",
+    },
+    messages: {
+        maxLength: 1000,
+    },
+    // Usernames that hold the admin role, granted at boot once the account
+    // exists. Signing up never makes anyone an admin; admins promote others
+    // from the admin console.
+    admins: [],
+    twoFactor: {
+        issuer: "Auth UI",
+        challengeTtlMs: 5 * 60 * 1000, // time to enter the code after the password
+        maxAttempts: 5, // wrong codes per challenge
+        backupCodeCount: 10,
+    },
+}
+
+// -----------------------------
+// Errors
+// -----------------------------
+// Persisted data that can't be read or doesn't have the expected shape.
+// Raised instead of silently treating the data as empty; boot shows a
+// recovery screen for it.
+class DataCorruptionError extends Error {
+    constructor(key, { reason = "unreadable", raw } = {}) {
+        super(`Stored data for "${key}" is ${reason}.`)
+        this.name = "DataCorruptionError"
+        this.key = key
+        this.reason = reason
+        this.raw = raw
+    }
+}
+
+// -----------------------------
+// Storage adapters
+// Every adapter exposes the same async interface:
+//   get(key, fallback) -> stored value, or fallback when missing;
+//                         throws DataCorruptionError when unreadable
+//   getMany(keys)      -> stored values in key order, undefined where
+//                         missing; throws like get
+//   set(key, value)
+//   remove(key)
+// Values are plain JSON-compatible data.
+// -----------------------------
+function createLocalStorageAdapter(storage = window.localStorage) {
+    // Parsed values are cached so repeat reads skip JSON.parse. Writes from
+    // other tabs drop the cache. Callers get their own copy, as with the
+    // other adapters, so mutating a value without saving it can't leak into
+    // later reads. Posts are a record each, so a like only copies one post.
+    const cache = new Map()
+    window.addEventListener?.("storage", (e) => {
+        if (e.storageArea !== storage) return
+        if (e.key === null) cache.clear()
+        else cache.delete(e.key)
+    })
 
-    function _loadUsers() {
+    async function get(key, fallback) {
+        if (cache.has(key)) return structuredClone(cache.get(key))
+        const raw = storage.getItem(key)
+        if (raw === null) return fallback
+        let value
         try {
-            const raw = localStorage.getItem(USERS_KEY)
-            return raw ? JSON.parse(raw) : {}
+            value = JSON.parse(raw)
         } catch {
-            return {}
+            throw new DataCorruptionError(key, { reason: "not valid JSON", raw })
         }
+        cache.set(key, value)
+        return structuredClone(value)
+    }
+    async function getMany(keys) {
+        return Promise.all(keys.map((key) => get(key)))
     }
+    async function set(key, value) {
+        storage.setItem(key, JSON.stringify(value))
+        // Re-read on demand rather than trusting `value`, which the caller still holds
+        cache.delete(key)
+    }
+    async function remove(key) {
+        storage.removeItem(key)
+        cache.delete(key)
+    }
+    return { name: "local", get, getMany, set, remove }
+}
+
+function createIndexedDBAdapter({ dbName = "auth-ui", storeName = "kv" } = {}) {
+    let dbPromise = null
 
-    function _saveUsers(users) {
-        localStorage.setItem(USERS_KEY, JSON.stringify(users))
+    function _open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(dbName, 1)
+                req.onupgradeneeded = () => req.result.createObjectStore(storeName)
+                req.onsuccess = () => resolve(req.result)
+                req.onerror = () => reject(req.error)
+            })
+        }
+        return dbPromise
     }
 
-    function _normalizeDOB(dob) {
-        // Accepts "YYYY-MM-DD" (from <input type="date">) and ensures consistent string
-        if (!dob) return ""
-        // Simple normalization; assume browser gives yyyy-mm-dd
-        return String(dob).trim()
+    // fn queues a request (or an array of them) on the store; resolves with
+    // the result(s) once the transaction completes
+    async function _run(mode, fn) {
+        const db = await _open()
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode)
+            const req = fn(tx.objectStore(storeName))
+            tx.oncomplete = () => resolve(Array.isArray(req) ? req.map((r) => r.result) : req.result)
+            tx.onerror = () => reject(tx.error)
+            tx.onabort = () => reject(tx.error)
+        })
     }
 
-    function _nowISO() {
-        return new Date().toISOString()
+    async function get(key, fallback) {
+        const value = await _run("readonly", (store) => store.get(key))
+        return value === undefined ? fallback : value
+    }
+    // One transaction for the lot, rather than one per key
+    async function getMany(keys) {
+        return _run("readonly", (store) => keys.map((key) => store.get(key)))
+    }
+    async function set(key, value) {
+        await _run("readwrite", (store) => store.put(value, key))
     }
+    async function remove(key) {
+        await _run("readwrite", (store) => store.delete(key))
+    }
+    return { name: "indexeddb", get, getMany, set, remove }
+}
 
-    function register({ username, email, password, dob }) {
-        const users = _loadUsers()
-        const uname = String(username || "")
-            .trim()
-            .toLowerCase()
-        const mail = String(email || "")
-            .trim()
-            .toLowerCase()
-        const birth = _normalizeDOB(dob)
+// In-memory adapter for tests. Values are cloned on the way in and out so
+// callers see the same copy semantics as the persistent adapters.
+function createMemoryAdapter(initial = {}) {
+    const data = new Map(Object.entries(initial))
+    const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)))
 
-        if (!uname || !mail || !password || !birth) {
-            return { ok: false, error: "All fields are required." }
+    async function get(key, fallback) {
+        return data.has(key) ? clone(data.get(key)) : fallback
+    }
+    async function getMany(keys) {
+        return keys.map((key) => clone(data.get(key)))
+    }
+    async function set(key, value) {
+        data.set(key, clone(value))
+    }
+    async function remove(key) {
+        data.delete(key)
+    }
+    return { name: "memory", get, getMany, set, remove }
+}
+
+// -----------------------------
+// Store: the adapter the services talk to
+// -----------------------------
+const Store = (() => {
+    // Keys that older builds kept in localStorage; copied over once when a
+    // different adapter takes over so existing accounts and posts survive.
+    const LEGACY_KEYS = ["auth.users", "auth.posts", "auth.postsSeeded", "auth.following"]
+
+    let ready = null
+
+    function _createDefault() {
+        if (AppConfig.storage === "memory") return createMemoryAdapter()
+        if (AppConfig.storage === "indexeddb" && typeof indexedDB !== "undefined") {
+            return createIndexedDBAdapter()
         }
-        if (password.length < 6) {
-            return { ok: false, error: "Password must be at least 6 characters." }
+        return createLocalStorageAdapter()
+    }
+
+    // All or nothing as far as localStorage goes: every key is copied and
+    // read back before any is removed, so a failure part way leaves the
+    // originals for the next load to retry. Keys the adapter already holds
+    // are kept as they are.
+    async function _importLegacy(adapter) {
+        if (adapter.name === "local" || typeof localStorage === "undefined") return adapter
+        const found = []
+        for (const key of LEGACY_KEYS) {
+            const raw = localStorage.getItem(key)
+            if (raw === null) continue
+            try {
+                found.push([key, JSON.parse(raw)])
+            } catch {
+                // Leave it in place for the recovery screen
+                throw new DataCorruptionError(key, { reason: "not valid JSON", raw })
+            }
         }
-        if (users[uname]) {
-            return { ok: false, error: "Username is already taken." }
+        const copied = []
+        for (const [key, value] of found) {
+            if ((await adapter.get(key)) !== undefined) continue
+            await adapter.set(key, value)
+            copied.push([key, value])
         }
-        // Ensure unique email
-        const emailTaken = Object.values(users).some((u) => (u.email || "").toLowerCase() === mail)
-        if (emailTaken) {
-            return { ok: false, error: "An account with this email already exists." }
+        for (const [key, value] of copied) {
+            if (JSON.stringify(await adapter.get(key)) !== JSON.stringify(value)) {
+                throw new Error(`Copying "${key}" out of localStorage failed; the original is kept.`)
+            }
         }
+        found.forEach(([key]) => localStorage.removeItem(key))
+        return adapter
+    }
 
-        const createdAt = _nowISO()
-        users[uname] = {
-            username: uname,
-            email: mail,
-            password, // demo only
-            dob: birth,
-            createdAt,
-            signInCount: 1,
-            lastLoginAt: createdAt,
-            lastPasswordResetAt: null,
+    // Falls back to localStorage only when the adapter can't be used at all.
+    // Once it works, an import failure is thrown rather than hidden, since
+    // carrying on in localStorage would strand whatever was already copied.
+    async function _open() {
+        const adapter = _createDefault()
+        try {
+            await adapter.get(LEGACY_KEYS[0])
+        } catch (err) {
+            if (err instanceof DataCorruptionError) throw err
+            // e.g. IndexedDB blocked in private mode
+            console.warn("Storage adapter unavailable, using localStorage.", err)
+            return createLocalStorageAdapter()
         }
-        _saveUsers(users)
-        // Auto-login on signup
-        localStorage.setItem(CURRENT_KEY, uname)
-        return { ok: true, user: { ...users[uname], password: undefined } }
+        return _importLegacy(adapter)
     }
 
-    function login({ username, password }) {
-        const users = _loadUsers()
-        const uname = String(username || "")
-            .trim()
-            .toLowerCase()
+    async function _adapter() {
+        if (!ready) ready = _open()
+        return ready
+    }
 
-        if (!uname || !password) {
-            return { ok: false, error: "Please enter your username and password." }
-        }
-        const user = users[uname]
-        if (!user || user.password !== password) {
-            return { ok: false, error: "Invalid username or password." }
-        }
+    // Swap the backing adapter (tests pass createMemoryAdapter())
+    function use(adapter) {
+        ready = Promise.resolve(adapter)
+    }
 
-        user.signInCount = (user.signInCount || 0) + 1
-        user.lastLoginAt = _nowISO()
-        _saveUsers(users)
+    // Like get, but a stored value failing isValid is corruption, not a
+    // reason to hand back the fallback
+    async function getChecked(key, fallback, isValid) {
+        const value = await (await _adapter()).get(key, undefined)
+        if (value === undefined) return fallback
+        if (!isValid(value)) throw new DataCorruptionError(key, { reason: "in an unexpected format", raw: value })
+        return value
+    }
 
-        localStorage.setItem(CURRENT_KEY, uname)
-        return { ok: true, user: { ...user, password: undefined } }
+    return {
+        use,
+        getChecked,
+        get: async (key, fallback) => (await _adapter()).get(key, fallback),
+        getMany: async (keys) => (await _adapter()).getMany(keys),
+        set: async (key, value) => (await _adapter()).set(key, value),
+        remove: async (key) => (await _adapter()).remove(key),
     }
+})()
 
-    function resetPassword({ username, dob, newPassword }) {
-        const users = _loadUsers()
-        const uname = String(username || "")
-            .trim()
-            .toLowerCase()
-        const birth = _normalizeDOB(dob)
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v)
 
-        if (!uname || !birth || !newPassword) {
-            return { ok: false, error: "All fields are required." }
-        }
-        if (newPassword.length < 6) {
-            return { ok: false, error: "Password must be at least 6 characters." }
-        }
-        const user = users[uname]
-        if (!user) {
-            return { ok: false, error: "No user found with that username." }
+// -----------------------------
+// Migrations: versioned schema for persisted data. Boot runs every
+// migration newer than the stored auth.schemaVersion, in order, before any
+// page initializer touches the data. A copy of the data keys is saved to
+// auth.backup first, and migrations only add, normalise or move data.
+// -----------------------------
+const Migrations = (() => {
+    const VERSION_KEY = "auth.schemaVersion"
+    const BACKUP_KEY = "auth.backup"
+    const DATA_KEYS = [
+        "auth.users",
+        "auth.posts",
+        "auth.postIds",
+        "auth.following",
+        "auth.follows",
+        "auth.audit",
+        "auth.adminLog",
+        "auth.notifications",
+        "auth.notificationPrefs",
+        "auth.messages",
+        "auth.blocks",
+        "auth.bookmarks",
+    ]
+
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: "Normalise user, post and follow shapes from pre-versioned builds",
+            async up() {
+                const users = await Store.getChecked("auth.users", {}, isPlainObject)
+                for (const [key, u] of Object.entries(users)) {
+                    if (!isPlainObject(u)) throw new DataCorruptionError("auth.users", { reason: `broken at "${key}"` })
+                    u.username = u.username || key
+                    u.email = String(u.email || "").toLowerCase()
+                    u.createdAt = u.createdAt || null
+                    u.signInCount = typeof u.signInCount === "number" ? u.signInCount : 1
+                    u.lastLoginAt = u.lastLoginAt || u.createdAt || null
+                    u.lastPasswordResetAt = u.lastPasswordResetAt || null
+                }
+                await Store.set("auth.users", users)
+
+                const posts = await Store.getChecked("auth.posts", [], Array.isArray)
+                posts.forEach((p, i) => {
+                    if (!isPlainObject(p)) throw new DataCorruptionError("auth.posts", { reason: `broken at #${i}` })
+                    p.id = p.id || crypto.randomUUID?.() || `${Date.now()}-${i}`
+                    p.likes = Array.isArray(p.likes) ? p.likes : []
+                    p.comments = (Array.isArray(p.comments) ? p.comments : []).map((c, j) => ({
+                        ...c,
+                        id: c.id || `${p.id}-c${j}`,
+                    }))
+                })
+                await Store.set("auth.posts", posts)
+
+                const following = await Store.getChecked("auth.following", [], Array.isArray)
+                await Store.set(
+                    "auth.following",
+                    following.filter((h) => typeof h === "string"),
+                )
+            },
+        },
+        {
+            version: 2,
+            description: "Mark accounts created before email verification as verified",
+            async up() {
+                const users = await Store.getChecked("auth.users", {}, isPlainObject)
+                Object.values(users).forEach((u) => {
+                    if (u.emailVerified === undefined) {
+                        u.emailVerified = true
+                        u.emailVerifiedAt = null
+                    }
+                })
+                await Store.set("auth.users", users)
+            },
+        },
+        {
+            version: 3,
+            description: "Start each user's audit log from the timestamps kept on the user record",
+            async up() {
+                const users = await Store.getChecked("auth.users", {}, isPlainObject)
+                const log = await Store.getChecked("auth.audit", {}, isPlainObject)
+                const seeded = [
+                    ["createdAt", "account.created", "Account created", "Account"],
+                    ["lastLoginAt", "login.success", "Signed in", "Login"],
+                    ["lastPasswordResetAt", "password.reset", "Password reset", "Security"],
+                ]
+                Object.values(users).forEach((u) => {
+                    if (log[u.username]) return
+                    log[u.username] = seeded
+                        .filter(([field]) => u[field])
+                        .map(([field, type, label, tag]) => ({
+                            id: `${u.username}-${field}`,
+                            type,
+                            tag,
+                            label,
+                            at: u[field],
+                            userAgent: "",
+                            meta: { migrated: true },
+                        }))
+                        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+                })
+                await Store.set("auth.audit", log)
+            },
+        },
+        {
+            version: 4,
+            description: "Give every user a role",
+            async up() {
+                const users = await Store.getChecked("auth.users", {}, isPlainObject)
+                Object.values(users).forEach((u) => {
+                    if (!["user", "moderator", "admin"].includes(u.role)) u.role = "user"
+                    u.locked = u.locked || null
+                    u.passwordResetRequired = !!u.passwordResetRequired
+                })
+                await Store.set("auth.users", users)
+            },
+        },
+        {
+            version: 5,
+            description: "Add edit tracking to posts",
+            async up() {
+                const posts = await Store.getChecked("auth.posts", [], Array.isArray)
+                posts.forEach((p) => {
+                    p.editedAt = p.editedAt || null
+                    p.revisions = Array.isArray(p.revisions) ? p.revisions : []
+                })
+                await Store.set("auth.posts", posts)
+            },
+        },
+        {
+            version: 6,
+            description: "Turn likes into reactions; comments get reply threading and reactions",
+            async up() {
+                const posts = await Store.getChecked("auth.posts", [], Array.isArray)
+                posts.forEach((p) => {
+                    p.reactions = isPlainObject(p.reactions) ? p.reactions : {}
+                    if (p.likes.length) {
+                        const like = AppConfig.reactions.like
+                        p.reactions[like] = [...new Set([...(p.reactions[like] || []), ...p.likes])]
+                    }
+                    delete p.likes
+                    p.comments.forEach((c) => {
+                        c.parentId = c.parentId || null
+                        c.reactions = isPlainObject(c.reactions) ? c.reactions : {}
+                    })
+                })
+                await Store.set("auth.posts", posts)
+            },
+        },
+        {
+            version: 7,
+            description: "Give each account its own follow list in place of the shared one",
+            async up() {
+                const users = await Store.getChecked("auth.users", {}, isPlainObject)
+                const shared = await Store.getChecked("auth.following", [], Array.isArray)
+                const follows = await Store.getChecked("auth.follows", {}, isPlainObject)
+                // Every account on this browser saw the shared list as its own,
+                // so each keeps the entries that name another registered user
+                const names = [...new Set(shared.map((h) => String(h).replace(/^@/, "").toLowerCase()))]
+                Object.keys(users).forEach((username) => {
+                    const kept = names.filter((name) => name !== username && users[name])
+                    follows[username] = [...new Set([...(follows[username] || []), ...kept])]
+                })
+                await Store.set("auth.follows", follows)
+                await Store.remove("auth.following")
+            },
+        },
+        {
+            version: 8,
+            description: "Store each post as its own record so a like or comment rewrites only that post",
+            async up() {
+                const posts = await Store.getChecked("auth.posts", undefined, Array.isArray)
+                // Already split by a run that stopped before recording the version
+                if (posts === undefined) return
+                const ids = await Store.getChecked("auth.postIds", [], Array.isArray)
+                for (const p of posts) await Store.set(`auth.post.${p.id}`, p)
+                await Store.set("auth.postIds", [...new Set([...posts.map((p) => p.id), ...ids])])
+                await Store.remove("auth.posts")
+            },
+        },
+    ]
+
+    const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+    async function run() {
+        const stored = await Store.getChecked(VERSION_KEY, 0, Number.isInteger)
+        if (stored > CURRENT_VERSION) {
+            throw new DataCorruptionError(VERSION_KEY, { reason: "from a newer version of this app", raw: stored })
         }
-        if (_normalizeDOB(user.dob) !== birth) {
-            return { ok: false, error: "Date of birth does not match our records." }
+        const pending = MIGRATIONS.filter((m) => m.version > stored)
+        if (!pending.length) return { from: stored, to: stored, applied: [] }
+
+        const data = {}
+        for (const key of DATA_KEYS) data[key] = await Store.get(key)
+        // Posts live one per key, listed in auth.postIds
+        const postIds = Array.isArray(data["auth.postIds"]) ? data["auth.postIds"] : []
+        for (const id of postIds) data[`auth.post.${id}`] = await Store.get(`auth.post.${id}`)
+        await Store.set(BACKUP_KEY, { version: stored, takenAt: new Date().toISOString(), data })
+
+        for (const m of pending) {
+            await m.up()
+            // Record progress per step so a failure resumes where it stopped
+            await Store.set(VERSION_KEY, m.version)
         }
-        user.password = newPassword
-        user.lastPasswordResetAt = _nowISO()
-        _saveUsers(users)
-        return { ok: true }
+        return { from: stored, to: CURRENT_VERSION, applied: pending.map((m) => m.version) }
     }
 
-    function getCurrentUser() {
-        const uname = localStorage.getItem(CURRENT_KEY)
-        if (!uname) return null
-        const users = _loadUsers()
-        const user = users[uname]
-        if (!user) return null
-        const { password, ...safe } = user
-        return safe
+    return { CURRENT_VERSION, DATA_KEYS, run }
+})()
+
+// -----------------------------
+// SyncBus: tells other open tabs that shared state changed. Uses
+// BroadcastChannel, or a localStorage "ping" key (storage events) where
+// that's missing. Messages are { type, payload, from }; a tab never
+// receives its own.
+// -----------------------------
+const SyncBus = (() => {
+    const CHANNEL = "auth-ui"
+    const PING_KEY = "auth.sync"
+    const tabId = crypto.randomUUID?.() || String(Math.random()).slice(2)
+    const listeners = new Set()
+
+    function _dispatch(msg) {
+        if (!msg || msg.from === tabId) return
+        listeners.forEach((fn) => {
+            try {
+                fn(msg)
+            } catch (err) {
+                console.error(err)
+            }
+        })
     }
 
-    function logout() {
-        localStorage.removeItem(CURRENT_KEY)
+    // Earlier builds left the last message sitting under PING_KEY
+    if (typeof localStorage !== "undefined") localStorage.removeItem(PING_KEY)
+
+    const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL) : null
+    if (channel) {
+        channel.onmessage = (e) => _dispatch(e.data)
+    } else {
+        window.addEventListener?.("storage", (e) => {
+            if (e.key !== PING_KEY || !e.newValue) return
+            try {
+                _dispatch(JSON.parse(e.newValue))
+            } catch {
+                // ignore malformed pings
+            }
+        })
     }
 
-    // Guards
-    function requireAuthOrRedirect() {
-        const user = getCurrentUser()
-        if (!user) {
-            navigateWithFade("index.html")
+    function publish(type, payload = {}) {
+        const msg = { type, payload, from: tabId, at: Date.now() }
+        if (channel) channel.postMessage(msg)
+        else if (typeof localStorage !== "undefined") {
+            // The write alone raises the storage event in other tabs. Removing
+            // it straight away keeps messages (which can carry a session id)
+            // off the disk.
+            localStorage.setItem(PING_KEY, JSON.stringify(msg))
+            localStorage.removeItem(PING_KEY)
         }
-        return !!user
     }
 
-    function redirectIfAuthenticated() {
-        const user = getCurrentUser()
-        if (user) {
-            navigateWithFade("dashboard.html")
-            return true
+    // Returns an unsubscribe function
+    function subscribe(fn) {
+        listeners.add(fn)
+        return () => listeners.delete(fn)
+    }
+
+    return { publish, subscribe }
+})()
+
+// -----------------------------
+// Outbox: local stand-in for outgoing email. Messages are kept in the store
+// so tests can read what would have been sent. The UI only ever shows a
+// signed-in user the mail addressed to them: reset links must not be
+// readable by whoever asked for them.
+// -----------------------------
+const Outbox = (() => {
+    const KEY = "auth.outbox"
+    const LIMIT = 50 // keep the newest messages only
+
+    async function _load() {
+        const list = await Store.get(KEY, [])
+        return Array.isArray(list) ? list : []
+    }
+
+    async function send({ to, subject, body, link = null }) {
+        const message = {
+            id: crypto.randomUUID?.() || String(Date.now()),
+            to,
+            subject,
+            body,
+            link,
+            createdAt: new Date().toISOString(),
         }
-        return false
+        const list = await _load()
+        list.push(message)
+        await Store.set(KEY, list.slice(-LIMIT))
+        return message
     }
 
-    return {
-        register,
-        login,
-        resetPassword,
-        getCurrentUser,
-        logout,
-        requireAuthOrRedirect,
-        redirectIfAuthenticated,
+    // Newest first; optionally only messages to one address. Without `to`
+    // it's every user's mail, for tests only.
+    async function list(to) {
+        const all = (await _load()).slice().reverse()
+        return to ? all.filter((m) => m.to === to) : all
+    }
+
+    async function clear() {
+        await Store.remove(KEY)
     }
+
+    return { send, list, clear }
 })()
 
 // -----------------------------
-// PostService and helpers for a local social feed (demo only)
+// Totp: RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s)
 // -----------------------------
-const PostService = (() => {
-    const POSTS_KEY = "auth.posts"
-    const SEEDED_KEY = "auth.postsSeeded"
+const Totp = (() => {
+    const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+    const DIGITS = 6
+    const PERIOD = 30 // seconds
+    const WINDOW = 1 // steps of clock drift accepted either side
 
-    function _load() {
-        try {
-            return JSON.parse(localStorage.getItem(POSTS_KEY) || "[]")
-        } catch {
-            return []
+    function base32Encode(bytes) {
+        let bits = 0
+        let value = 0
+        let out = ""
+        bytes.forEach((b) => {
+            value = (value << 8) | b
+            bits += 8
+            while (bits >= 5) {
+                out += ALPHABET[(value >>> (bits - 5)) & 31]
+                bits -= 5
+            }
+        })
+        if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31]
+        return out
+    }
+
+    function base32Decode(str) {
+        const clean = String(str).toUpperCase().replace(/[\s=]/g, "")
+        const out = []
+        let bits = 0
+        let value = 0
+        for (const ch of clean) {
+            const idx = ALPHABET.indexOf(ch)
+            if (idx < 0) throw new Error("Invalid base32 character.")
+            value = (value << 5) | idx
+            bits += 5
+            if (bits >= 8) {
+                out.push((value >>> (bits - 8)) & 255)
+                bits -= 8
+            }
         }
+        return new Uint8Array(out)
     }
-    function _save(list) {
-        localStorage.setItem(POSTS_KEY, JSON.stringify(list))
+
+    // 160-bit secret, base32 as authenticator apps expect
+    function generateSecret() {
+        return base32Encode(crypto.getRandomValues(new Uint8Array(20)))
     }
-    function seed() {
-        if (localStorage.getItem(SEEDED_KEY)) return
-        const now = Date.now()
-        const demo = [
-            {
-                id: crypto.randomUUID?.() || String(now + 1),
-                author: "alex",
-                text: "Just started using this app. Loving the clean UI!",
-                createdAt: new Date(now - 1000 * 60 * 60).toISOString(),
-                likes: ["maria"],
-                comments: [
-                    { id: "c1", author: "maria", text: "Welcome! 🎉", createdAt: new Date(now - 1000 * 60 * 45).toISOString() },
-                ],
-            },
+
+    function currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / PERIOD)
+    }
+
+    async function codeAt(secret, step) {
+        const key = await crypto.subtle.importKey("raw", base32Decode(secret), { name: "HMAC", hash: "SHA-1" }, false, [
+            "sign",
+        ])
+        // 8-byte big-endian counter
+        const counter = new ArrayBuffer(8)
+        const view = new DataView(counter)
+        view.setUint32(0, Math.floor(step / 2 ** 32))
+        view.setUint32(4, step >>> 0)
+        const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, counter))
+        // Dynamic truncation (RFC 4226 §5.3)
+        const offset = mac[mac.length - 1] & 15
+        const bin = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3]
+        return String(bin % 10 ** DIGITS).padStart(DIGITS, "0")
+    }
+
+    // Returns the matching time step, or null. Steps at or before
+    // lastUsedStep are rejected so a code can't be replayed.
+    async function verify(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+        const clean = String(code || "").replace(/\s+/g, "")
+        if (!/^\d{6}$/.test(clean)) return null
+        const step = currentStep(now)
+        for (let w = -WINDOW; w <= WINDOW; w++) {
+            if (step + w <= lastUsedStep) continue
+            if ((await codeAt(secret, step + w)) === clean) return step + w
+        }
+        return null
+    }
+
+    function uri({ secret, account, issuer }) {
+        // encodeURIComponent rather than URLSearchParams: apps expect %20, not +
+        const label = encodeURIComponent(`${issuer}:${account}`)
+        const query = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`
+        return `otpauth://totp/${label}?${query}`
+    }
+
+    return { generateSecret, currentStep, codeAt, verify, uri, base32Encode, base32Decode }
+})()
+
+// -----------------------------
+// PasswordPolicy: the rules register/resetPassword enforce and the forms'
+// strength meter and checklist display. Configured by AppConfig.passwordPolicy.
+// -----------------------------
+const PasswordPolicy = (() => {
+    const LABELS = ["Very weak", "Weak", "Fair", "Good", "Strong"]
+
+    function _personalParts({ username, email } = {}) {
+        const parts = [username, String(email || "").split("@")[0]]
+        return parts.map((p) => String(p || "").toLowerCase()).filter((p) => p.length >= 3)
+    }
+
+    // Active rules as { id, label, error, test(password, context) }
+    function rules() {
+        const cfg = AppConfig.passwordPolicy
+        const list = [
             {
-                id: crypto.randomUUID?.() || String(now + 2),
-                author: "maria",
-                text: "Dark mode all the way. What features should we add next?",
-                createdAt: new Date(now - 1000 * 60 * 30).toISOString(),
-                likes: [],
-                comments: [],
+                id: "length",
+                label: `At least ${cfg.minLength} characters`,
+                error: `Password must be at least ${cfg.minLength} characters.`,
+                test: (pw) => pw.length >= cfg.minLength,
             },
         ]
-        _save(demo)
-        localStorage.setItem(SEEDED_KEY, "1")
+        const classes = [
+            ["lower", cfg.requireLower, "A lowercase letter", /[a-z]/],
+            ["upper", cfg.requireUpper, "An uppercase letter", /[A-Z]/],
+            ["digit", cfg.requireDigit, "A number", /\d/],
+            ["symbol", cfg.requireSymbol, "A symbol", /[^A-Za-z0-9]/],
+        ]
+        classes.forEach(([id, required, label, re]) => {
+            if (!required) return
+            list.push({ id, label, error: `Password must include ${label.toLowerCase()}.`, test: (pw) => re.test(pw) })
+        })
+        list.push({
+            id: "common",
+            label: "Not a common password",
+            error: "That password is too common. Please choose another.",
+            test: (pw) => !!pw && !cfg.banned.includes(pw.toLowerCase()),
+        })
+        if (cfg.disallowPersonalInfo) {
+            list.push({
+                id: "personal",
+                label: "Doesn't contain your username or email",
+                error: "Password must not contain your username or email.",
+                test: (pw, ctx) => {
+                    const lower = pw.toLowerCase()
+                    return !_personalParts(ctx).some((part) => lower.includes(part))
+                },
+            })
+        }
+        return list
     }
-    function list() {
-        return _load().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+    // 0..4, from length and character variety; any failed rule caps it at 1
+    function _score(pw, passedAll) {
+        if (!pw) return 0
+        const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(pw)).length
+        let score = 0
+        if (pw.length >= 8) score++
+        if (pw.length >= 12) score++
+        if (classes >= 3) score++
+        if (classes === 4 || pw.length >= 16) score++
+        return passedAll ? Math.max(score, 1) : Math.min(score, 1)
     }
-    function add({ author, text }) {
-        const post = {
-            id: crypto.randomUUID?.() || String(Date.now()),
-            author,
-            text: String(text || "").trim(),
-            createdAt: new Date().toISOString(),
-            likes: [],
-            comments: [],
+
+    // { ok, error, results: [{ id, label, passed }], score, strength }
+    function check(password, context = {}) {
+        const pw = String(password || "")
+        const active = rules()
+        const results = active.map((r) => ({ id: r.id, label: r.label, passed: r.test(pw, context) }))
+        const failed = active.find((r, i) => !results[i].passed)
+        const score = _score(pw, !failed)
+        return {
+            ok: !failed,
+            error: failed ? failed.error : null,
+            results,
+            score,
+            strength: LABELS[score],
         }
-        if (!post.text) return { ok: false, error: "Post cannot be empty." }
-        const list = _load()
-        list.push(post)
-        _save(list)
-        return { ok: true, post }
     }
-    function toggleLike(id, username) {
-        const list = _load()
-        const p = list.find((x) => x.id === id)
-        if (!p) return { ok: false, error: "Post not found." }
-        p.likes = Array.isArray(p.likes) ? p.likes : []
-        const i = p.likes.indexOf(username)
-        if (i >= 0) p.likes.splice(i, 1)
-        else p.likes.push(username)
-        _save(list)
-        return { ok: true, likes: p.likes.length }
+
+    return { rules, check }
+})()
+
+// -----------------------------
+// AuditLog: per-user, append-only record of security and activity events
+// ({ id, type, tag, label, at, userAgent, meta }), newest last. Entries
+// only go away with the account itself or when a user's log passes LIMIT.
+// -----------------------------
+const AuditLog = (() => {
+    const KEY = "auth.audit" // object keyed by username
+    const LIMIT = 500
+
+    const EVENTS = {
+        "account.created": { label: "Account created", tag: "Account" },
+        "email.changed": { label: "Email changed", tag: "Account" },
+        "email.verified": { label: "Email verified", tag: "Account" },
+        "login.success": { label: "Signed in", tag: "Login" },
+        logout: { label: "Signed out", tag: "Login" },
+        "login.failed": { label: "Failed sign-in attempt", tag: "Security" },
+        "password.reset": { label: "Password reset", tag: "Security" },
+        "password.changed": { label: "Password changed", tag: "Security" },
+        "2fa.enabled": { label: "Two-factor authentication turned on", tag: "Security" },
+        "2fa.disabled": { label: "Two-factor authentication turned off", tag: "Security" },
+        "2fa.backupCodes": { label: "New backup codes generated", tag: "Security" },
+        "post.created": { label: "Posted", tag: "Post" },
+        "post.edited": { label: "Edited a post", tag: "Post" },
+        "post.deleted": { label: "Deleted a post", tag: "Post" },
+        "comment.added": { label: "Commented on a post", tag: "Comment" },
+        "comment.deleted": { label: "Deleted a comment", tag: "Comment" },
+        "data.exported": { label: "Exported account data", tag: "Account" },
+        "data.imported": { label: "Imported account data", tag: "Account" },
+        "account.locked": { label: "Account locked by an administrator", tag: "Security" },
+        "account.unlocked": { label: "Account unlocked by an administrator", tag: "Security" },
+        "password.resetRequired": { label: "Password reset required by an administrator", tag: "Security" },
+        "role.changed": { label: "Role changed by an administrator", tag: "Account" },
+        "user.blocked": { label: "Blocked a user", tag: "Security" },
+        "user.unblocked": { label: "Unblocked a user", tag: "Security" },
     }
+    const TAGS = [...new Set(Object.values(EVENTS).map((e) => e.tag))]
+    const listeners = new Set()
 
-    function deletePost(id) {
-        const list = _load()
-        const p = list.find((x) => x.id === id)
-        if (!p) return { ok: false, error: "Post not found." }
-        const next = list.filter((x) => x.id !== id)
-        _save(next)
-        return { ok: true }
+    async function _load() {
+        return Store.getChecked(KEY, {}, isPlainObject)
     }
 
-    function addComment(id, { author, text }) {
-        const t = String(text || "").trim()
-        if (!t) return { ok: false, error: "Comment cannot be empty." }
-        const list = _load()
-        const p = list.find((x) => x.id === id)
-        if (!p) return { ok: false, error: "Post not found." }
-        p.comments = Array.isArray(p.comments) ? p.comments : []
-        p.comments.push({
+    async function record(username, type, meta = {}) {
+        if (!username) return
+        const def = EVENTS[type] || { label: type, tag: "Account" }
+        const log = await _load()
+        const entries = log[username] || []
+        entries.push({
             id: crypto.randomUUID?.() || String(Date.now()),
-            author,
-            text: t,
-            createdAt: new Date().toISOString(),
+            type,
+            tag: def.tag,
+            label: def.label,
+            at: new Date().toISOString(),
+            userAgent: typeof navigator !== "undefined" ? navigator.userAgent : "",
+            meta,
         })
-        _save(list)
-        return { ok: true, count: p.comments.length }
+        log[username] = entries.slice(-LIMIT)
+        await Store.set(KEY, log)
+        listeners.forEach((fn) => fn(username, type))
+        SyncBus.publish("audit:recorded", { username, type })
     }
-    function suggestions() {
-        return [
-            { name: "Alex Johnson", handle: "@alex" },
-            { name: "Maria Gomez", handle: "@maria" },
-            { name: "Sam Lee", handle: "@sam" },
-        ]
+
+    // Same-tab listeners; other tabs hear "audit:recorded" on the SyncBus.
+    // Returns an unsubscribe function.
+    function subscribe(fn) {
+        listeners.add(fn)
+        return () => listeners.delete(fn)
     }
-    return { seed, list, add, toggleLike, deletePost, addComment, suggestions }
-})()
 
-// -----------------------------
-// FollowService to toggle follow buttons in sidebar
-// -----------------------------
-const FollowService = (() => {
-    const KEY = "auth.following"
-    const _load = () => {
-        try {
-            return JSON.parse(localStorage.getItem(KEY) || "[]")
-        } catch {
-            return []
-        }
+    // Newest first, optionally one tag, one page at a time
+    async function list(username, { tag = null, page = 1, pageSize = 10 } = {}) {
+        const all = ((await _load())[username] || []).slice().reverse()
+        const matching = tag ? all.filter((e) => e.tag === tag) : all
+        const pages = Math.max(1, Math.ceil(matching.length / pageSize))
+        const current = Math.min(Math.max(1, page), pages)
+        const start = (current - 1) * pageSize
+        return { items: matching.slice(start, start + pageSize), total: matching.length, page: current, pages }
     }
-    const _save = (arr) => localStorage.setItem(KEY, JSON.stringify(arr))
-    function isFollowing(handle) {
-        return _load().includes(handle)
+
+    // The user's whole log as a downloadable JSON document
+    async function exportFor(username) {
+        const entries = (await _load())[username] || []
+        return JSON.stringify({ username, exportedAt: new Date().toISOString(), entries }, null, 2)
     }
-    function toggle(handle) {
-        const set = _load()
-        const i = set.indexOf(handle)
-        if (i >= 0) set.splice(i, 1)
-        else set.push(handle)
-        _save(set)
-        return set.includes(handle)
+
+    async function removeUser(username) {
+        const log = await _load()
+        if (!log[username]) return
+        delete log[username]
+        await Store.set(KEY, log)
     }
-    return { isFollowing, toggle }
+
+    return { EVENTS, TAGS, record, subscribe, list, exportFor, removeUser }
 })()
 
 // -----------------------------
-// UI Helpers
+// AdminLog: every action taken from the admin console, with who took it,
+// on whom and when ({ id, at, actor, action, label, target, meta }), newest last
 // -----------------------------
-function el(id) {
-    return document.getElementById(id)
-}
+const AdminLog = (() => {
+    const KEY = "auth.adminLog"
+    const LIMIT = 1000
 
-function showMessage(containerId, type, text) {
-    const container = el(containerId)
+    const ACTIONS = {
+        "user.locked": "Locked account",
+        "user.unlocked": "Unlocked account",
+        "user.passwordReset": "Forced a password reset",
+        "user.role": "Changed role",
+        "post.removed": "Removed a post",
+        "comment.removed": "Removed a comment",
+    }
+
+    async function _load() {
+        return Store.getChecked(KEY, [], Array.isArray)
+    }
+
+    async function record(actor, action, target, meta = {}) {
+        const entries = await _load()
+        entries.push({
+            id: crypto.randomUUID?.() || String(Date.now()),
+            at: new Date().toISOString(),
+            actor,
+            action,
+            label: ACTIONS[action] || action,
+            target,
+            meta,
+        })
+        await Store.set(KEY, entries.slice(-LIMIT))
+    }
+
+    // Newest first
+    async function list({ limit = 50 } = {}) {
+        return (await _load()).slice(-limit).reverse()
+    }
+
+    return { ACTIONS, record, list }
+})()
+
+// -----------------------------
+// AuthService
+// -----------------------------
+const AuthService = (() => {
+    const USERS_KEY = "auth.users" // object keyed by username
+    const SESSIONS_KEY = "auth.sessions" // object keyed by session id
+    const TOKEN_KEY = "auth.session" // session id, in localStorage or sessionStorage
+    const LEGACY_CURRENT_KEY = "auth.currentUser" // pre-session builds stored a bare username
+    const ATTEMPTS_KEY = "auth.loginAttempts" // object keyed by username
+    const RESET_TOKENS_KEY = "auth.resetTokens" // object keyed by SHA-256 of the token
+    const MFA_CHALLENGES_KEY = "auth.mfaChallenges" // object keyed by challenge id
+
+    async function _loadUsers() {
+        return Store.getChecked(USERS_KEY, {}, isPlainObject)
+    }
+
+    async function _saveUsers(users) {
+        await Store.set(USERS_KEY, users)
+    }
+
+    function _normalizeDOB(dob) {
+        // Accepts "YYYY-MM-DD" (from <input type="date">) and ensures consistent string
+        if (!dob) return ""
+        // Simple normalization; assume browser gives yyyy-mm-dd
+        return String(dob).trim()
+    }
+
+    function _nowISO() {
+        return new Date().toISOString()
+    }
+
+    // Password hashing (PBKDF2 via Web Crypto). Records store
+    // { algorithm, iterations, salt, hash } with base64 salt/hash.
+    const HASH_ALGORITHM = "PBKDF2-SHA256"
+    const HASH_ITERATIONS = 210000
+    const SALT_BYTES = 16
+    const HASH_BITS = 256
+
+    function _toBase64(bytes) {
+        let bin = ""
+        bytes.forEach((b) => (bin += String.fromCharCode(b)))
+        return btoa(bin)
+    }
+
+    function _fromBase64(str) {
+        return Uint8Array.from(atob(str), (c) => c.charCodeAt(0))
+    }
+
+    async function _derive(password, salt, iterations) {
+        const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, [
+            "deriveBits",
+        ])
+        const bits = await crypto.subtle.deriveBits(
+            { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+            key,
+            HASH_BITS,
+        )
+        return new Uint8Array(bits)
+    }
+
+    async function _hashPassword(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+        const hash = await _derive(password, salt, HASH_ITERATIONS)
+        return { algorithm: HASH_ALGORITHM, iterations: HASH_ITERATIONS, salt: _toBase64(salt), hash: _toBase64(hash) }
+    }
+
+    // Same work as a real check, for usernames with no account behind them,
+    // so response times don't reveal which accounts exist
+    const DUMMY_SALT = new Uint8Array(SALT_BYTES)
+    async function _dummyVerify(password) {
+        await _derive(password, DUMMY_SALT, HASH_ITERATIONS)
+        return false
+    }
+
+    // Compare without bailing out on the first differing byte
+    function _timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false
+        let diff = 0
+        for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i]
+        return diff === 0
+    }
+
+    async function _verifyPassword(user, password) {
+        const stored = user.passwordHash
+        if (stored && stored.algorithm === HASH_ALGORITHM) {
+            const hash = await _derive(password, _fromBase64(stored.salt), stored.iterations)
+            return _timingSafeEqual(hash, _fromBase64(stored.hash))
+        }
+        // Legacy plaintext record (upgraded by login on success)
+        if (typeof user.password === "string") {
+            const enc = new TextEncoder()
+            return _timingSafeEqual(enc.encode(user.password), enc.encode(password))
+        }
+        return false
+    }
+
+    function _needsRehash(user) {
+        const stored = user.passwordHash
+        return !stored || stored.algorithm !== HASH_ALGORITHM || stored.iterations < HASH_ITERATIONS
+    }
+
+    async function _setPassword(user, password) {
+        user.passwordHash = await _hashPassword(password)
+        delete user.password
+    }
+
+    // -----------------------------
+    // Sessions
+    // A session record lives in the store; the browser only holds its random
+    // id, in localStorage ("Remember me") or sessionStorage (ends with the
+    // browser session).
+    // -----------------------------
+    async function _loadSessions() {
+        const sessions = await Store.get(SESSIONS_KEY, {})
+        return sessions && typeof sessions === "object" ? sessions : {}
+    }
+
+    async function _saveSessions(sessions) {
+        await Store.set(SESSIONS_KEY, sessions)
+    }
+
+    function _toHex(bytes) {
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("")
+    }
+
+    function _randomId(bytes = 32) {
+        return _toHex(crypto.getRandomValues(new Uint8Array(bytes)))
+    }
+
+    function _readToken() {
+        localStorage.removeItem(LEGACY_CURRENT_KEY)
+        return sessionStorage.getItem(TOKEN_KEY) || localStorage.getItem(TOKEN_KEY)
+    }
+
+    function _clearToken() {
+        sessionStorage.removeItem(TOKEN_KEY)
+        localStorage.removeItem(TOKEN_KEY)
+    }
+
+    function _isExpired(session, now = Date.now()) {
+        return now >= Date.parse(session.expiresAt) || now - Date.parse(session.lastSeenAt) >= session.idleTimeoutMs
+    }
+
+    async function _startSession(username, { remember = false } = {}) {
+        const cfg = AppConfig.session
+        const now = Date.now()
+        const sessions = await _loadSessions()
+        // Drop expired records while we're here
+        for (const [id, s] of Object.entries(sessions)) {
+            if (_isExpired(s, now)) delete sessions[id]
+        }
+        const session = {
+            id: _randomId(),
+            username,
+            persistent: !!remember,
+            createdAt: new Date(now).toISOString(),
+            lastSeenAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + (remember ? cfg.rememberTtlMs : cfg.ttlMs)).toISOString(),
+            idleTimeoutMs: remember ? cfg.rememberIdleTimeoutMs : cfg.idleTimeoutMs,
+        }
+        sessions[session.id] = session
+        await _saveSessions(sessions)
+
+        _clearToken()
+        ;(remember ? localStorage : sessionStorage).setItem(TOKEN_KEY, session.id)
+        SyncBus.publish("session:login", { username, sessionId: session.id, persistent: session.persistent })
+        return session
+    }
+
+    // Keep every tab on the same session: a login elsewhere is adopted here
+    // (sessionStorage is per tab), and a logout elsewhere signs this tab out.
+    SyncBus.subscribe(({ type, payload }) => {
+        if (type === "session:login") {
+            _clearToken()
+            ;(payload.persistent ? localStorage : sessionStorage).setItem(TOKEN_KEY, payload.sessionId)
+        } else if (type === "session:logout") {
+            _clearToken()
+        }
+    })
+
+    // Sign out every browser holding a session for this user (but `except`)
+    async function _revokeSessions(username, { except = null } = {}) {
+        const sessions = await _loadSessions()
+        let changed = false
+        for (const [id, s] of Object.entries(sessions)) {
+            if (s.username === username && id !== except) {
+                delete sessions[id]
+                changed = true
+            }
+        }
+        if (changed) {
+            await _saveSessions(sessions)
+            SyncBus.publish("session:revoked", { username })
+        }
+    }
+
+    // Returns the valid session for this browser, or null. Expired or
+    // unknown tokens are cleared. With touch, activity extends the idle window.
+    async function _resolveSession({ touch = true } = {}) {
+        const token = _readToken()
+        if (!token) return null
+        const sessions = await _loadSessions()
+        const session = sessions[token]
+        if (!session || _isExpired(session)) {
+            if (session) {
+                delete sessions[token]
+                await _saveSessions(sessions)
+            }
+            _clearToken()
+            return null
+        }
+        if (touch && Date.now() - Date.parse(session.lastSeenAt) >= AppConfig.session.touchIntervalMs) {
+            session.lastSeenAt = _nowISO()
+            await _saveSessions(sessions)
+        }
+        return session
+    }
+
+    // -----------------------------
+    // Throttling
+    // Failed logins are counted per username (known or not). Past
+    // freeAttempts each failure doubles the wait before the next try; at
+    // maxAttempts the account locks for lockoutMs.
+    // -----------------------------
+    async function _loadAttempts() {
+        const attempts = await Store.get(ATTEMPTS_KEY, {})
+        return attempts && typeof attempts === "object" ? attempts : {}
+    }
+
+    // Returns a failed result if the username may not try yet, else null
+    async function _checkThrottle(uname) {
+        const entry = (await _loadAttempts())[uname]
+        if (!entry) return null
+        const now = Date.now()
+        const lockedUntil = Date.parse(entry.lockedUntil || "") || 0
+        if (lockedUntil > now) {
+            return {
+                ok: false,
+                error: "Too many failed attempts. This account is temporarily locked.",
+                locked: true,
+                retryAfterMs: lockedUntil - now,
+            }
+        }
+        const cfg = AppConfig.throttle
+        const over = entry.failures - cfg.freeAttempts
+        if (over > 0 && !entry.lockedUntil) {
+            const delay = Math.min(cfg.baseDelayMs * 2 ** (over - 1), cfg.maxDelayMs)
+            const wait = Date.parse(entry.lastFailureAt) + delay - now
+            if (wait > 0) {
+                return { ok: false, error: "Too many attempts. Please wait before trying again.", retryAfterMs: wait }
+            }
+        }
+        return null
+    }
+
+    async function _recordFailure(uname) {
+        const attempts = await _loadAttempts()
+        const cfg = AppConfig.throttle
+        let entry = attempts[uname]
+        // A lockout that has run out starts a fresh count
+        if (entry?.lockedUntil && Date.parse(entry.lockedUntil) <= Date.now()) entry = null
+        entry = entry || { failures: 0, lockedUntil: null }
+        entry.failures += 1
+        entry.lastFailureAt = _nowISO()
+        if (entry.failures >= cfg.maxAttempts) {
+            entry.lockedUntil = new Date(Date.now() + cfg.lockoutMs).toISOString()
+        }
+        attempts[uname] = entry
+        await Store.set(ATTEMPTS_KEY, attempts)
+        return entry.lockedUntil
+            ? {
+                  ok: false,
+                  error: "Too many failed attempts. This account is temporarily locked.",
+                  locked: true,
+                  retryAfterMs: cfg.lockoutMs,
+              }
+            : null
+    }
+
+    async function _clearFailures(uname) {
+        const attempts = await _loadAttempts()
+        if (!attempts[uname]) return
+        delete attempts[uname]
+        await Store.set(ATTEMPTS_KEY, attempts)
+    }
+
+    // -----------------------------
+    // Reset tokens
+    // Only a SHA-256 digest of each token is stored; the token itself goes
+    // out through the Outbox as a forgot.html?token=... link.
+    // -----------------------------
+    async function _digest(text) {
+        const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))
+        return _toHex(new Uint8Array(buf))
+    }
+
+    async function _loadResetTokens() {
+        const tokens = await Store.get(RESET_TOKENS_KEY, {})
+        return tokens && typeof tokens === "object" ? tokens : {}
+    }
+
+    // Returns [digest, record] for a usable token, or null
+    async function _findResetToken(token) {
+        if (!token) return null
+        const digest = await _digest(String(token))
+        const record = (await _loadResetTokens())[digest]
+        if (!record || Date.now() >= Date.parse(record.expiresAt)) return null
+        return [digest, record]
+    }
+
+    // -----------------------------
+    // Email verification
+    // New accounts hold a pending { codeDigest, expiresAt, sentAt, attempts }
+    // until the 6-digit code from the Outbox is entered. Records created
+    // before verification existed are marked verified by migration 2.
+    // -----------------------------
+    function isEmailVerified(user) {
+        return !!user && user.emailVerified === true
+    }
+
+    // Whether the user may perform an action ("post", "comment", ...) given
+    // their verification state
+    function can(user, action) {
+        if (!user) return false
+        if (isEmailVerified(user)) return true
+        return !!AppConfig.emailVerification.unverified[action]
+    }
+
+    async function _issueVerification(user) {
+        const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, "0")
+        const ttl = AppConfig.emailVerification.codeTtlMs
+        user.emailVerification = {
+            codeDigest: await _digest(`${user.username}:${code}`),
+            sentAt: _nowISO(),
+            expiresAt: new Date(Date.now() + ttl).toISOString(),
+            attempts: 0,
+        }
+        await Outbox.send({
+            to: user.email,
+            subject: "Verify your email",
+            body: `Your verification code is ${code}. It expires in ${Math.round(ttl / 3600000)} hours.`,
+            link: `dashboard.html?verify=${code}`,
+        })
+    }
+
+    async function _sessionUser(users) {
+        const session = await _resolveSession()
+        return session ? users[session.username] || null : null
+    }
+
+    async function resendVerification() {
+        const users = await _loadUsers()
+        const user = await _sessionUser(users)
+        if (!user) return { ok: false, error: "Please sign in again." }
+        if (isEmailVerified(user)) return { ok: false, error: "Your email is already verified." }
+
+        const sentAt = Date.parse(user.emailVerification?.sentAt || "") || 0
+        const wait = sentAt + AppConfig.emailVerification.resendCooldownMs - Date.now()
+        if (wait > 0) {
+            return {
+                ok: false,
+                error: "A code was sent recently. Please wait before asking again.",
+                retryAfterMs: wait,
+            }
+        }
+        await _issueVerification(user)
+        await _saveUsers(users)
+        return { ok: true }
+    }
+
+    async function verifyEmail({ code }) {
+        const users = await _loadUsers()
+        const user = await _sessionUser(users)
+        if (!user) return { ok: false, error: "Please sign in again." }
+        if (isEmailVerified(user)) return { ok: true, user: _publicUser(user) }
+
+        const pending = user.emailVerification
+        const clean = String(code || "").replace(/\s+/g, "")
+        const expired =
+            !pending ||
+            Date.now() >= Date.parse(pending.expiresAt) ||
+            pending.attempts >= AppConfig.emailVerification.maxAttempts
+        if (expired) {
+            return { ok: false, error: "This code has expired. Request a new one." }
+        }
+        if ((await _digest(`${user.username}:${clean}`)) !== pending.codeDigest) {
+            pending.attempts += 1
+            await _saveUsers(users)
+            return { ok: false, error: "That code is not correct." }
+        }
+        user.emailVerified = true
+        user.emailVerifiedAt = _nowISO()
+        delete user.emailVerification
+        await _saveUsers(users)
+        await AuditLog.record(user.username, "email.verified")
+        return { ok: true, user: _publicUser(user) }
+    }
+
+    // -----------------------------
+    // Two-factor authentication
+    // An enabled account stores twoFactor: { secret, enabledAt, lastUsedStep,
+    // backupCodes: [digest] }. After a correct password, login hands back a
+    // short-lived challenge id instead of a session; completeTwoFactorLogin
+    // redeems it with a TOTP or backup code.
+    // -----------------------------
+    function _normalizeBackupCode(code) {
+        return String(code || "")
+            .toLowerCase()
+            .replace(/[^0-9a-f]/g, "")
+    }
+
+    async function _generateBackupCodes(user) {
+        const codes = Array.from({ length: AppConfig.twoFactor.backupCodeCount }, () => {
+            const hex = _randomId(4)
+            return `${hex.slice(0, 4)}-${hex.slice(4)}`
+        })
+        user.twoFactor.backupCodes = await Promise.all(
+            codes.map((c) => _digest(`${user.username}:${_normalizeBackupCode(c)}`)),
+        )
+        return codes
+    }
+
+    // Accepts a current TOTP code or an unused backup code (which is consumed).
+    // Mutates user.twoFactor; callers save.
+    async function _verifySecondFactor(user, code) {
+        const tf = user.twoFactor
+        if (!tf) return false
+        const step = await Totp.verify(tf.secret, code, { lastUsedStep: tf.lastUsedStep ?? -1 })
+        if (step !== null) {
+            tf.lastUsedStep = step
+            return true
+        }
+        const backup = _normalizeBackupCode(code)
+        if (backup.length !== 8) return false
+        const digest = await _digest(`${user.username}:${backup}`)
+        const i = (tf.backupCodes || []).indexOf(digest)
+        if (i < 0) return false
+        tf.backupCodes.splice(i, 1)
+        return true
+    }
+
+    async function _loadChallenges() {
+        const challenges = await Store.get(MFA_CHALLENGES_KEY, {})
+        return challenges && typeof challenges === "object" ? challenges : {}
+    }
+
+    // Enrollment step 1: a fresh secret to scan; nothing is enabled yet
+    async function beginTwoFactorSetup() {
+        const users = await _loadUsers()
+        const user = await _sessionUser(users)
+        if (!user) return { ok: false, error: "Please sign in again." }
+        if (user.twoFactor) return { ok: false, error: "Two-factor authentication is already on." }
+
+        const secret = Totp.generateSecret()
+        user.twoFactorPending = { secret, createdAt: _nowISO() }
+        await _saveUsers(users)
+        const uri = Totp.uri({ secret, account: user.username, issuer: AppConfig.twoFactor.issuer })
+        return { ok: true, secret, uri }
+    }
+
+    // Enrollment step 2: prove the app is set up, then switch 2FA on
+    async function confirmTwoFactorSetup({ code }) {
+        const users = await _loadUsers()
+        const user = await _sessionUser(users)
+        if (!user) return { ok: false, error: "Please sign in again." }
+        const pending = user.twoFactorPending
+        if (!pending) return { ok: false, error: "Start two-factor setup first." }
+
+        const step = await Totp.verify(pending.secret, code)
+        if (step === null) return { ok: false, error: "That code is not correct. Check your device's clock." }
+
+        user.twoFactor = { secret: pending.secret, enabledAt: _nowISO(), lastUsedStep: step, backupCodes: [] }
+        delete user.twoFactorPending
+        const backupCodes = await _generateBackupCodes(user)
+        await _saveUsers(users)
+        await AuditLog.record(user.username, "2fa.enabled")
+        return { ok: true, backupCodes }
+    }
+
+    // Turning 2FA off or replacing the backup codes takes the current password
+    // and a code. Wrong answers count toward lockout like failed logins.
+    // Returns { user } when both check out, else a failed result.
+    async function _confirmTwoFactor(users, { password, code }) {
+        const user = await _sessionUser(users)
+        if (!user) return { result: { ok: false, error: "Please sign in again." } }
+        if (!user.twoFactor) return { result: { ok: false, error: "Two-factor authentication is not on." } }
+        if (!password) return { result: { ok: false, error: "Please enter your current password." } }
+        const throttled = await _checkThrottle(user.username)
+        if (throttled) return { result: throttled }
+        const passwordOk = await _verifyPassword(user, String(password))
+        // Backup codes are single-use, so only spend one behind the right password
+        if (!passwordOk || !(await _verifySecondFactor(user, code))) {
+            const locked = await _recordFailure(user.username)
+            const step = passwordOk ? "two-factor-confirm" : "password-confirm"
+            await AuditLog.record(user.username, "login.failed", { step, locked: !!locked })
+            const error = passwordOk ? "That code is not correct." : "Your current password is not correct."
+            return { result: locked || { ok: false, error } }
+        }
+        await _clearFailures(user.username)
+        return { user }
+    }
+
+    async function disableTwoFactor({ password, code }) {
+        const users = await _loadUsers()
+        const { user, result } = await _confirmTwoFactor(users, { password, code })
+        if (!user) return result
+        delete user.twoFactor
+        await _saveUsers(users)
+        await AuditLog.record(user.username, "2fa.disabled")
+        return { ok: true }
+    }
+
+    async function regenerateBackupCodes({ password, code }) {
+        const users = await _loadUsers()
+        const { user, result } = await _confirmTwoFactor(users, { password, code })
+        if (!user) return result
+        const backupCodes = await _generateBackupCodes(user)
+        await _saveUsers(users)
+        await AuditLog.record(user.username, "2fa.backupCodes")
+        return { ok: true, backupCodes }
+    }
+
+    async function completeTwoFactorLogin({ challenge, code }) {
+        const challenges = await _loadChallenges()
+        const entry = challenges[challenge]
+        if (!entry || Date.now() >= Date.parse(entry.expiresAt)) {
+            if (entry) {
+                delete challenges[challenge]
+                await Store.set(MFA_CHALLENGES_KEY, challenges)
+            }
+            return { ok: false, expired: true, error: "Your sign-in timed out. Please enter your password again." }
+        }
+        const throttled = await _checkThrottle(entry.username)
+        if (throttled) return throttled
+
+        const users = await _loadUsers()
+        const user = users[entry.username]
+        if (!user || !(await _verifySecondFactor(user, code))) {
+            entry.attempts += 1
+            const spent = entry.attempts >= AppConfig.twoFactor.maxAttempts
+            if (spent) delete challenges[challenge]
+            await Store.set(MFA_CHALLENGES_KEY, challenges)
+            const locked = await _recordFailure(entry.username)
+            await AuditLog.record(entry.username, "login.failed", { step: "two-factor", locked: !!locked })
+            if (locked) return locked
+            return spent
+                ? { ok: false, expired: true, error: "Too many wrong codes. Please sign in again." }
+                : { ok: false, error: "That code is not correct." }
+        }
+        delete challenges[challenge]
+        await Store.set(MFA_CHALLENGES_KEY, challenges)
+        await _clearFailures(entry.username)
+        return _completeLogin(users, user, { remember: entry.remember })
+    }
+
+    // Strip password and verification secrets before handing a record to the UI
+    function _publicUser(user) {
+        const { password, passwordHash, emailVerification, twoFactor, twoFactorPending, ...safe } = user
+        return { ...safe, twoFactorEnabled: !!twoFactor, backupCodesLeft: twoFactor?.backupCodes?.length ?? 0 }
+    }
+
+    async function register({ username, email, password, dob }) {
+        const users = await _loadUsers()
+        const uname = String(username || "")
+            .trim()
+            .toLowerCase()
+        const mail = String(email || "")
+            .trim()
+            .toLowerCase()
+        const birth = _normalizeDOB(dob)
+
+        if (!uname || !mail || !password || !birth) {
+            return { ok: false, error: "All fields are required." }
+        }
+        const policy = PasswordPolicy.check(password, { username: uname, email: mail })
+        if (!policy.ok) {
+            return { ok: false, error: policy.error }
+        }
+        if (users[uname]) {
+            return { ok: false, error: "Username is already taken." }
+        }
+        // Ensure unique email
+        if (_emailTaken(users, mail)) {
+            return { ok: false, error: "An account with this email already exists." }
+        }
+
+        const createdAt = _nowISO()
+        users[uname] = {
+            username: uname,
+            email: mail,
+            passwordHash: await _hashPassword(password),
+            dob: birth,
+            createdAt,
+            signInCount: 1,
+            lastLoginAt: createdAt,
+            lastPasswordResetAt: null,
+            emailVerified: false,
+            emailVerifiedAt: null,
+            role: "user",
+            locked: null,
+            passwordResetRequired: false,
+        }
+        await _issueVerification(users[uname])
+        await _saveUsers(users)
+        await AuditLog.record(uname, "account.created")
+        // Auto-login on signup (browser-session only)
+        await _startSession(uname)
+        return { ok: true, user: _publicUser(users[uname]) }
+    }
+
+    async function login({ username, password, remember = false }) {
+        const users = await _loadUsers()
+        const uname = String(username || "")
+            .trim()
+            .toLowerCase()
+
+        if (!uname || !password) {
+            return { ok: false, error: "Please enter your username and password." }
+        }
+        const throttled = await _checkThrottle(uname)
+        if (throttled) return throttled
+
+        const user = users[uname]
+        const valid = user ? await _verifyPassword(user, String(password)) : await _dummyVerify(String(password))
+        if (!valid) {
+            const locked = await _recordFailure(uname)
+            if (user) await AuditLog.record(uname, "login.failed", { step: "password", locked: !!locked })
+            return locked || { ok: false, error: "Invalid username or password." }
+        }
+
+        // Upgrade plaintext or weaker hashes now that we have the password
+        if (_needsRehash(user)) {
+            await _setPassword(user, String(password))
+            await _saveUsers(users)
+        }
+
+        const blocked = _loginBlocked(user)
+        if (blocked) {
+            await AuditLog.record(uname, "login.failed", { step: "blocked" })
+            return blocked
+        }
+
+        // Second step: no session until the code checks out. Failures stay
+        // counted so the code can't be brute-forced behind a known password.
+        if (user.twoFactor) {
+            const challenges = await _loadChallenges()
+            for (const [id, c] of Object.entries(challenges)) {
+                if (Date.now() >= Date.parse(c.expiresAt)) delete challenges[id]
+            }
+            const challenge = _randomId()
+            challenges[challenge] = {
+                username: uname,
+                remember: !!remember,
+                attempts: 0,
+                expiresAt: new Date(Date.now() + AppConfig.twoFactor.challengeTtlMs).toISOString(),
+            }
+            await Store.set(MFA_CHALLENGES_KEY, challenges)
+            return { ok: true, mfaRequired: true, challenge }
+        }
+
+        await _clearFailures(uname)
+        return _completeLogin(users, user, { remember })
+    }
+
+    // Admin holds on an account; only reported once the password checked out
+    function _loginBlocked(user) {
+        if (user.locked) {
+            return { ok: false, error: "This account has been locked by an administrator." }
+        }
+        if (user.passwordResetRequired) {
+            return {
+                ok: false,
+                error: "You need to choose a new password before signing in. Check your email for a reset link.",
+            }
+        }
+        return null
+    }
+
+    async function _completeLogin(users, user, { remember }) {
+        const blocked = _loginBlocked(user)
+        if (blocked) return blocked
+        user.signInCount += 1
+        user.lastLoginAt = _nowISO()
+        await _saveUsers(users)
+
+        await _startSession(user.username, { remember })
+        await AuditLog.record(user.username, "login.success", { remember: !!remember })
+        return { ok: true, user: _publicUser(user) }
+    }
+
+    // Step 1: email a single-use reset link. The result is the same whether
+    // or not the account exists so it can't be used to probe usernames.
+    async function requestPasswordReset({ username }) {
+        const ident = String(username || "")
+            .trim()
+            .toLowerCase()
+        if (!ident) {
+            return { ok: false, error: "Please enter your username or email." }
+        }
+        const users = await _loadUsers()
+        const user = users[ident] || Object.values(users).find((u) => (u.email || "").toLowerCase() === ident)
+        if (user) {
+            await _sendResetLink(user, "If you didn't ask for this, you can ignore it.")
+        }
+        return { ok: true }
+    }
+
+    async function _sendResetLink(user, note) {
+        const tokens = await _loadResetTokens()
+        // Only the newest link works; also drop anything expired
+        for (const [digest, record] of Object.entries(tokens)) {
+            if (record.username === user.username || Date.now() >= Date.parse(record.expiresAt)) {
+                delete tokens[digest]
+            }
+        }
+        const token = _randomId()
+        const ttl = AppConfig.passwordReset.tokenTtlMs
+        tokens[await _digest(token)] = {
+            username: user.username,
+            createdAt: _nowISO(),
+            expiresAt: new Date(Date.now() + ttl).toISOString(),
+        }
+        await Store.set(RESET_TOKENS_KEY, tokens)
+        await Outbox.send({
+            to: user.email,
+            subject: "Reset your password",
+            body: `Use this link within ${Math.round(ttl / 60000)} minutes to choose a new password. ${note}`,
+            link: `forgot.html?token=${token}`,
+        })
+    }
+
+    // Lets forgot.html reject a stale link before the user types a password.
+    // The username/email feed the password checklist's personal-info rule.
+    async function checkResetToken(token) {
+        const found = await _findResetToken(token)
+        const user = found && (await _loadUsers())[found[1].username]
+        if (!user) return { ok: false, error: "This reset link is invalid or has expired." }
+        return { ok: true, username: user.username, email: user.email }
+    }
+
+    // Step 2: redeem the token. Every existing session for the user ends.
+    async function resetPassword({ token, newPassword }) {
+        if (!token || !newPassword) {
+            return { ok: false, error: "All fields are required." }
+        }
+        const found = await _findResetToken(token)
+        if (!found) {
+            return { ok: false, error: "This reset link is invalid or has expired." }
+        }
+        const [digest, record] = found
+        const users = await _loadUsers()
+        const user = users[record.username]
+        if (!user) {
+            return { ok: false, error: "This reset link is invalid or has expired." }
+        }
+        const policy = PasswordPolicy.check(newPassword, { username: user.username, email: user.email })
+        if (!policy.ok) {
+            return { ok: false, error: policy.error }
+        }
+
+        // Burn the token before anything else can fail
+        const tokens = await _loadResetTokens()
+        delete tokens[digest]
+        await Store.set(RESET_TOKENS_KEY, tokens)
+
+        await _setPassword(user, newPassword)
+        user.lastPasswordResetAt = _nowISO()
+        user.passwordResetRequired = false
+        await _saveUsers(users)
+        await _clearFailures(user.username)
+        await _revokeSessions(user.username)
+        await AuditLog.record(user.username, "password.reset")
+        return { ok: true }
+    }
+
+    // -----------------------------
+    // Roles and user management
+    // Every admin action re-checks the signed-in user's role and lands in
+    // the AdminLog as well as the affected user's own audit log.
+    // -----------------------------
+    const ROLES = ["user", "moderator", "admin"] // least to most privileged
+
+    function hasRole(user, role) {
+        return !!user && ROLES.includes(user.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+    }
+
+    // Boot: promote the accounts named in AppConfig.admins
+    async function grantConfiguredRoles() {
+        const users = await _loadUsers()
+        const names = AppConfig.admins.map((name) => String(name).toLowerCase())
+        const promote = names.filter((name) => users[name] && users[name].role !== "admin")
+        if (!promote.length) return
+        const previous = promote.map((name) => users[name].role)
+        promote.forEach((name) => (users[name].role = "admin"))
+        await _saveUsers(users)
+        for (const [i, name] of promote.entries()) {
+            await AuditLog.record(name, "role.changed", { by: "configuration", from: previous[i], to: "admin" })
+        }
+    }
+
+    // Loads users and checks that the signed-in admin may act on username.
+    // Admins can't act on themselves, so there's always an admin left.
+    async function _adminTarget(username) {
+        const users = await _loadUsers()
+        const actor = await _sessionUser(users)
+        if (!actor) return { result: { ok: false, error: "Please sign in again." } }
+        if (!hasRole(actor, "admin")) return { result: { ok: false, error: "You don't have permission to do that." } }
+        const uname = String(username || "")
+            .trim()
+            .toLowerCase()
+        const target = users[uname]
+        if (!target) return { result: { ok: false, error: "No such user." } }
+        if (target.username === actor.username) {
+            return { result: { ok: false, error: "You can't do that to your own account." } }
+        }
+        return { users, actor, target }
+    }
+
+    async function listUsers({ query = "" } = {}) {
+        const users = await _loadUsers()
+        const actor = await _sessionUser(users)
+        if (!hasRole(actor, "admin")) return { ok: false, error: "You don't have permission to do that." }
+        const q = String(query).trim().toLowerCase()
+        const matches = Object.values(users)
+            .filter((u) => !q || u.username.includes(q) || (u.email || "").includes(q))
+            .sort((a, b) => a.username.localeCompare(b.username))
+            .map(_publicUser)
+        return { ok: true, users: matches }
+    }
+
+    async function setRole(username, role) {
+        if (!ROLES.includes(role)) return { ok: false, error: "Unknown role." }
+        const { users, actor, target, result } = await _adminTarget(username)
+        if (!target) return result
+        if (target.role === role) return { ok: true, user: _publicUser(target) }
+        const previous = target.role
+        target.role = role
+        await _saveUsers(users)
+        await AdminLog.record(actor.username, "user.role", target.username, { from: previous, to: role })
+        await AuditLog.record(target.username, "role.changed", { by: actor.username, from: previous, to: role })
+        return { ok: true, user: _publicUser(target) }
+    }
+
+    // Ends the user's sessions; login stays refused until unlocked
+    async function lockAccount(username, { reason = "" } = {}) {
+        const { users, actor, target, result } = await _adminTarget(username)
+        if (!target) return result
+        if (target.locked) return { ok: false, error: "This account is already locked." }
+        target.locked = { at: _nowISO(), by: actor.username, reason: String(reason).trim() }
+        await _saveUsers(users)
+        await _revokeSessions(target.username)
+        await AdminLog.record(actor.username, "user.locked", target.username, { reason: target.locked.reason })
+        await AuditLog.record(target.username, "account.locked", { by: actor.username })
+        return { ok: true, user: _publicUser(target) }
+    }
+
+    async function unlockAccount(username) {
+        const { users, actor, target, result } = await _adminTarget(username)
+        if (!target) return result
+        if (!target.locked) return { ok: false, error: "This account isn't locked." }
+        target.locked = null
+        await _saveUsers(users)
+        await _clearFailures(target.username)
+        await AdminLog.record(actor.username, "user.unlocked", target.username)
+        await AuditLog.record(target.username, "account.unlocked", { by: actor.username })
+        return { ok: true, user: _publicUser(target) }
+    }
+
+    // Signs the user out everywhere and emails a reset link; they can't sign
+    // in again until they've used it
+    async function forcePasswordReset(username) {
+        const { users, actor, target, result } = await _adminTarget(username)
+        if (!target) return result
+        target.passwordResetRequired = true
+        await _saveUsers(users)
+        await _revokeSessions(target.username)
+        await _sendResetLink(target, "An administrator has asked you to choose a new password before signing in again.")
+        await AdminLog.record(actor.username, "user.passwordReset", target.username)
+        await AuditLog.record(target.username, "password.resetRequired", { by: actor.username })
+        return { ok: true, user: _publicUser(target) }
+    }
+
+    // -----------------------------
+    // Account settings
+    // All of these act on the signed-in user and re-check the current
+    // password, with failures counted like failed logins.
+    // -----------------------------
+    function _emailTaken(users, mail, exceptUsername = null) {
+        return Object.values(users).some((u) => u.username !== exceptUsername && (u.email || "").toLowerCase() === mail)
+    }
+
+    // Returns { user } when the password matches, else a failed result
+    async function _confirmPassword(users, password) {
+        const user = await _sessionUser(users)
+        if (!user) return { result: { ok: false, error: "Please sign in again." } }
+        if (!password) return { result: { ok: false, error: "Please enter your current password." } }
+        const throttled = await _checkThrottle(user.username)
+        if (throttled) return { result: throttled }
+        if (!(await _verifyPassword(user, String(password)))) {
+            const locked = await _recordFailure(user.username)
+            await AuditLog.record(user.username, "login.failed", { step: "password-confirm", locked: !!locked })
+            return { result: locked || { ok: false, error: "Your current password is not correct." } }
+        }
+        await _clearFailures(user.username)
+        return { user }
+    }
+
+    // A new address has to be verified again
+    async function changeEmail({ email, password }) {
+        const mail = String(email || "")
+            .trim()
+            .toLowerCase()
+        if (!mail) return { ok: false, error: "Please enter an email address." }
+
+        const users = await _loadUsers()
+        const { user, result } = await _confirmPassword(users, password)
+        if (!user) return result
+        if (mail === user.email) return { ok: false, error: "That's already your email address." }
+        if (_emailTaken(users, mail, user.username)) {
+            return { ok: false, error: "An account with this email already exists." }
+        }
+        const previous = user.email
+        user.email = mail
+        user.emailVerified = false
+        user.emailVerifiedAt = null
+        await _issueVerification(user)
+        await _saveUsers(users)
+        await AuditLog.record(user.username, "email.changed", { from: previous, to: mail })
+        return { ok: true, user: _publicUser(user) }
+    }
+
+    // Other browsers signed in as this user are signed out; this one stays
+    async function changePassword({ currentPassword, newPassword }) {
+        const users = await _loadUsers()
+        const { user, result } = await _confirmPassword(users, currentPassword)
+        if (!user) return result
+        const policy = PasswordPolicy.check(newPassword, { username: user.username, email: user.email })
+        if (!policy.ok) return { ok: false, error: policy.error }
+        if (await _verifyPassword(user, String(newPassword))) {
+            return { ok: false, error: "Choose a password you aren't already using." }
+        }
+        await _setPassword(user, String(newPassword))
+        user.lastPasswordChangeAt = _nowISO()
+        await _saveUsers(users)
+        await AuditLog.record(user.username, "password.changed")
+        await _revokeSessions(user.username, { except: _readToken() })
+        return { ok: true }
+    }
+
+    // Deletes the signed-in account after a password check. beforeDelete
+    // (username) lets other services drop the user's data first.
+    async function deleteAccount({ password, beforeDelete }) {
+        const users = await _loadUsers()
+        const { user, result } = await _confirmPassword(users, password)
+        if (!user) return result
+        const { username } = user
+
+        await beforeDelete?.(username)
+        delete users[username]
+        await _saveUsers(users)
+
+        const tokens = await _loadResetTokens()
+        for (const [digest, record] of Object.entries(tokens)) {
+            if (record.username === username) delete tokens[digest]
+        }
+        await Store.set(RESET_TOKENS_KEY, tokens)
+        await _clearFailures(username)
+        await _revokeSessions(username)
+        _clearToken()
+        return { ok: true }
+    }
+
+    async function getCurrentUser({ touch = true } = {}) {
+        const session = await _resolveSession({ touch })
+        if (!session) return null
+        const users = await _loadUsers()
+        const user = users[session.username]
+        if (!user || user.locked) return null
+        return _publicUser(user)
+    }
+
+    // Validate the session without counting it as activity (used by timers)
+    async function checkSession() {
+        return !!(await _resolveSession({ touch: false }))
+    }
+
+    async function touchSession() {
+        await _resolveSession({ touch: true })
+    }
+
+    async function logout() {
+        const token = _readToken()
+        _clearToken()
+        if (!token) return
+        const sessions = await _loadSessions()
+        const session = sessions[token]
+        if (session) {
+            delete sessions[token]
+            await _saveSessions(sessions)
+            await AuditLog.record(session.username, "logout")
+        }
+        SyncBus.publish("session:logout", { sessionId: token })
+    }
+
+    // Just the names, for @mention parsing and autocomplete
+    async function usernames() {
+        return Object.keys(await _loadUsers()).sort()
+    }
+
+    return {
+        register,
+        login,
+        requestPasswordReset,
+        checkResetToken,
+        resetPassword,
+        isEmailVerified,
+        can,
+        resendVerification,
+        verifyEmail,
+        completeTwoFactorLogin,
+        beginTwoFactorSetup,
+        confirmTwoFactorSetup,
+        disableTwoFactor,
+        regenerateBackupCodes,
+        changeEmail,
+        changePassword,
+        deleteAccount,
+        ROLES,
+        hasRole,
+        grantConfiguredRoles,
+        listUsers,
+        setRole,
+        lockAccount,
+        unlockAccount,
+        forcePasswordReset,
+        usernames,
+        getCurrentUser,
+        checkSession,
+        touchSession,
+        logout,
+    }
+})()
+
+// -----------------------------
+// NotificationService: per-recipient notifications about other people's
+// reactions, comments, replies, mentions and follows
+// ({ id, type, actor, at, read, postId?, commentId?, emoji?, excerpt? }, newest last)
+// -----------------------------
+const NotificationService = (() => {
+    const KEY = "auth.notifications" // object keyed by recipient username
+    const PREFS_KEY = "auth.notificationPrefs" // object keyed by username
+    const LIMIT = 200
+
+    const TYPES = {
+        reaction: "Reactions to your posts and comments",
+        comment: "Comments on your posts",
+        reply: "Replies to your comments",
+        mention: "Mentions",
+        follow: "New followers",
+    }
+
+    const _load = () => Store.getChecked(KEY, {}, isPlainObject)
+    const _loadPrefs = () => Store.getChecked(PREFS_KEY, {}, isPlainObject)
+
+    // Every type is on until the user turns it off
+    async function getPrefs(username) {
+        const saved = (await _loadPrefs())[username] || {}
+        return Object.fromEntries(Object.keys(TYPES).map((type) => [type, saved[type] !== false]))
+    }
+
+    async function setPrefs(username, prefs) {
+        const all = await _loadPrefs()
+        all[username] = Object.fromEntries(Object.keys(TYPES).map((type) => [type, prefs[type] !== false]))
+        await Store.set(PREFS_KEY, all)
+        return all[username]
+    }
+
+    // Skips self-notifications, unknown recipients, muted types and repeats
+    // of an unread reaction
+    async function notify(recipient, type, { actor, ...data }) {
+        if (!recipient || recipient === actor || !TYPES[type]) return
+        if (!(await AuthService.usernames()).includes(recipient)) return
+        if (!(await getPrefs(recipient))[type]) return
+        const all = await _load()
+        const items = all[recipient] || []
+        const duplicate = items.some(
+            (n) =>
+                !n.read &&
+                n.type === type &&
+                n.actor === actor &&
+                n.postId === data.postId &&
+                n.commentId === data.commentId &&
+                n.emoji === data.emoji,
+        )
+        if (duplicate) return
+        items.push({
+            id: crypto.randomUUID?.() || String(Date.now()),
+            type,
+            actor,
+            at: new Date().toISOString(),
+            read: false,
+            ...data,
+        })
+        all[recipient] = items.slice(-LIMIT)
+        await Store.set(KEY, all)
+        SyncBus.publish("notifications:changed", { username: recipient })
+    }
+
+    // Newest first
+    async function list(username) {
+        return ((await _load())[username] || []).slice().reverse()
+    }
+
+    async function unreadCount(username) {
+        return ((await _load())[username] || []).filter((n) => !n.read).length
+    }
+
+    // ids = null marks everything read
+    async function markRead(username, ids = null) {
+        const all = await _load()
+        const items = all[username] || []
+        let changed = false
+        items.forEach((n) => {
+            if (!n.read && (!ids || ids.includes(n.id))) {
+                n.read = true
+                changed = true
+            }
+        })
+        if (!changed) return
+        await Store.set(KEY, all)
+        SyncBus.publish("notifications:changed", { username })
+    }
+
+    async function removeUser(username) {
+        const all = await _load()
+        const prefs = await _loadPrefs()
+        delete all[username]
+        delete prefs[username]
+        await Store.set(KEY, all)
+        await Store.set(PREFS_KEY, prefs)
+    }
+
+    return { TYPES, getPrefs, setPrefs, notify, list, unreadCount, markRead, removeUser }
+})()
+
+// -----------------------------
+// MessageService: one-to-one conversations between registered users, plus
+// per-user block lists. Conversations are keyed by the two usernames
+// ({ participants, messages: [{ id, from, text, at }], readAt: { [username]: iso } }).
+// When an account is deleted its conversations stay with the other person,
+// read-only: `participants` keeps only them, `departed` names the deleted
+// account, and the key moves aside so a new account reusing the name starts
+// fresh.
+// -----------------------------
+const MessageService = (() => {
+    const KEY = "auth.messages"
+    const BLOCKS_KEY = "auth.blocks" // object: username -> usernames they blocked
+
+    const _load = () => Store.getChecked(KEY, {}, isPlainObject)
+    const _loadBlocks = () => Store.getChecked(BLOCKS_KEY, {}, isPlainObject)
+    const _key = (a, b) => [a, b].sort().join(" ")
+    const _other = (conversation, username) =>
+        conversation.departed || conversation.participants.find((u) => u !== username)
+
+    // The open conversation between the two, else the latest closed one
+    function _find(all, username, other) {
+        if (all[_key(username, other)]) return all[_key(username, other)]
+        return Object.values(all)
+            .filter((c) => c.departed === other && c.participants.includes(username))
+            .sort((a, b) => (a.closedAt < b.closedAt ? 1 : -1))[0]
+    }
+    const _unread = (conversation, username) =>
+        conversation.messages.filter((m) => m.from !== username && m.at > (conversation.readAt[username] || "")).length
+
+    // Only the signed-in user can act as themselves
+    async function _actor(username) {
+        const actor = await AuthService.getCurrentUser({ touch: false })
+        return actor?.username === username ? actor : null
+    }
+
+    async function blocked(username) {
+        return (await _loadBlocks())[username] || []
+    }
+
+    async function isBlocked(username, other) {
+        return (await blocked(username)).includes(other)
+    }
+
+    async function send(from, to, text) {
+        const actor = await _actor(from)
+        if (!actor) return { ok: false, error: "You can only send messages as yourself." }
+        if (!AuthService.can(actor, "message")) return { ok: false, error: "Verify your email to send messages." }
+        const recipient = String(to || "")
+            .trim()
+            .replace(/^@/, "")
+            .toLowerCase()
+        const t = String(text || "").trim()
+        if (!recipient) return { ok: false, error: "Choose who to message." }
+        if (recipient === from) return { ok: false, error: "You can't message yourself." }
+        if (!(await AuthService.usernames()).includes(recipient)) return { ok: false, error: "No such user." }
+        if (!t) return { ok: false, error: "Write a message first." }
+        if (t.length > AppConfig.messages.maxLength) {
+            return { ok: false, error: `Messages can be at most ${AppConfig.messages.maxLength} characters.` }
+        }
+        if (await isBlocked(from, recipient)) return { ok: false, error: `Unblock @${recipient} to message them.` }
+        if (await isBlocked(recipient, from)) {
+            return { ok: false, error: `@${recipient} isn't accepting your messages.` }
+        }
+
+        const all = await _load()
+        const key = _key(from, recipient)
+        const conversation = all[key] || { participants: [from, recipient].sort(), messages: [], readAt: {} }
+        const message = { id: crypto.randomUUID?.() || String(Date.now()), from, text: t, at: new Date().toISOString() }
+        conversation.messages.push(message)
+        conversation.readAt[from] = message.at
+        all[key] = conversation
+        await Store.set(KEY, all)
+        SyncBus.publish("messages:changed", { participants: conversation.participants })
+        return { ok: true, message, with: recipient }
+    }
+
+    // Newest activity first: [{ with, last, unread, blocked, closed }]
+    async function conversations(username) {
+        const all = await _load()
+        const blocks = await blocked(username)
+        return Object.values(all)
+            .filter((c) => c.participants.includes(username) && _find(all, username, _other(c, username)) === c)
+            .map((c) => {
+                const other = _other(c, username)
+                return {
+                    with: other,
+                    last: c.messages.at(-1),
+                    unread: _unread(c, username),
+                    blocked: blocks.includes(other),
+                    closed: !!c.departed,
+                }
+            })
+            .sort((a, b) => (a.last.at < b.last.at ? 1 : -1))
+    }
+
+    // Oldest first
+    async function thread(username, other) {
+        return _find(await _load(), username, other)?.messages || []
+    }
+
+    // Whether the other account was deleted, leaving the thread read-only
+    async function isClosed(username, other) {
+        return !!_find(await _load(), username, other)?.departed
+    }
+
+    async function markRead(username, other) {
+        const all = await _load()
+        const conversation = _find(all, username, other)
+        const last = conversation?.messages.at(-1)
+        if (!last || (conversation.readAt[username] || "") >= last.at) return
+        conversation.readAt[username] = last.at
+        await Store.set(KEY, all)
+        SyncBus.publish("messages:changed", { participants: conversation.participants })
+    }
+
+    async function unreadCount(username) {
+        return (await conversations(username)).reduce((n, c) => n + c.unread, 0)
+    }
+
+    // Blocking keeps the history but stops new messages in both directions
+    async function setBlocked(username, other, block) {
+        const actor = await _actor(username)
+        if (!actor) return { ok: false, error: "You can only change your own block list." }
+        if (other === username) return { ok: false, error: "You can't block yourself." }
+        const all = await _loadBlocks()
+        const list = (all[username] || []).filter((u) => u !== other)
+        if (block) list.push(other)
+        all[username] = list
+        await Store.set(BLOCKS_KEY, all)
+        await AuditLog.record(username, block ? "user.blocked" : "user.unblocked", { username: other })
+        SyncBus.publish("messages:changed", { participants: [username, other] })
+        return { ok: true, blocked: block }
+    }
+
+    // The other person keeps each thread, read-only; threads nobody is left
+    // in go
+    async function removeUser(username) {
+        const all = await _load()
+        const closedAt = new Date().toISOString()
+        const affected = [username]
+        Object.entries(all).forEach(([key, c]) => {
+            if (!c.participants.includes(username)) return
+            delete all[key]
+            if (c.departed) return
+            const other = _other(c, username)
+            delete c.readAt[username]
+            all[`${key} ${closedAt}`] = { ...c, participants: [other], departed: username, closedAt }
+            affected.push(other)
+        })
+        const blocks = await _loadBlocks()
+        delete blocks[username]
+        Object.keys(blocks).forEach((u) => (blocks[u] = blocks[u].filter((b) => b !== username)))
+        await Store.set(KEY, all)
+        await Store.set(BLOCKS_KEY, blocks)
+        SyncBus.publish("messages:changed", { participants: affected })
+    }
+
+    return {
+        send,
+        conversations,
+        thread,
+        isClosed,
+        markRead,
+        unreadCount,
+        blocked,
+        isBlocked,
+        setBlocked,
+        removeUser,
+    }
+})()
+
+// -----------------------------
+// RichText: finds @mentions, #hashtags and http(s) links in post and comment
+// text. Rendering builds DOM nodes only, so user text never becomes markup.
+// -----------------------------
+const RichText = (() => {
+    // A mention or hashtag can't follow a letter, digit or symbol that would
+    // make it part of something else (emails, URLs, "C#", "a&#1")
+    const PATTERN =
+        /https?:\/\/[^\s<>"']+|(?<![\p{L}\p{N}_@#&/])@([\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)|(?<![\p{L}\p{N}_@#&/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu
+
+    // Sentence punctuation right after a URL isn't part of it
+    function _trimUrl(raw) {
+        let url = raw.replace(/[.,!?;:'"]+$/, "")
+        while (url.endsWith(")") && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+            url = url.slice(0, -1)
+        }
+        return url
+    }
+
+    function _safeHref(url) {
+        try {
+            const parsed = new URL(url)
+            return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.href : null
+        } catch {
+            return null
+        }
+    }
+
+    // [{ type: "text" | "link" | "mention" | "hashtag", text, href?, username?, tag? }]
+    // Mentions only count when isUser(name) says the account exists.
+    function tokenize(text, { isUser = () => true } = {}) {
+        const tokens = []
+        const source = String(text || "")
+        let last = 0
+        const pushText = (t) => {
+            if (!t) return
+            const prev = tokens[tokens.length - 1]
+            if (prev?.type === "text") prev.text += t
+            else tokens.push({ type: "text", text: t })
+        }
+        for (const m of source.matchAll(PATTERN)) {
+            pushText(source.slice(last, m.index))
+            let raw = m[0]
+            let token = null
+            if (m[1]) {
+                const username = m[1].toLowerCase()
+                if (isUser(username)) token = { type: "mention", text: raw, username }
+            } else if (m[2]) {
+                token = { type: "hashtag", text: raw, tag: m[2].toLowerCase() }
+            } else {
+                raw = _trimUrl(raw)
+                const href = _safeHref(raw)
+                if (href) token = { type: "link", text: raw, href }
+            }
+            if (token) tokens.push(token)
+            else pushText(raw)
+            last = m.index + raw.length
+        }
+        pushText(source.slice(last))
+        return tokens
+    }
+
+    function hashtags(text) {
+        return [...new Set(tokenize(text).flatMap((t) => (t.type === "hashtag" ? [t.tag] : [])))]
+    }
+
+    function mentions(text) {
+        return [...new Set(tokenize(text).flatMap((t) => (t.type === "mention" ? [t.username] : [])))]
+    }
+
+    // Lowercased, de-duplicated words of a search query
+    function searchTerms(query) {
+        const words = String(query || "")
+            .toLowerCase()
+            .split(/\s+/)
+        return [...new Set(words.filter(Boolean))]
+    }
+
+    // Text node, or text with each search term wrapped in <mark>
+    function _text(text, highlight) {
+        if (!highlight.length) return document.createTextNode(text)
+        // Longest first so "release" wins over "rel"
+        const escaped = [...highlight]
+            .sort((a, b) => b.length - a.length)
+            .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        const fragment = document.createDocumentFragment()
+        text.split(new RegExp(`(${escaped.join("|")})`, "iu")).forEach((part, i) => {
+            if (!part) return
+            if (i % 2 === 0) {
+                fragment.appendChild(document.createTextNode(part))
+                return
+            }
+            const mark = document.createElement("mark")
+            mark.className = "rich-match"
+            mark.textContent = part
+            fragment.appendChild(mark)
+        })
+        return fragment
+    }
+
+    // Mentions and hashtags become buttons (data-action filter-mention /
+    // filter-tag) and links open in a new tab; everything else is a text node.
+    // options.highlight marks search terms wherever they appear.
+    function render(text, options = {}) {
+        const highlight = options.highlight || []
+        const fragment = document.createDocumentFragment()
+        tokenize(text, options).forEach((t) => {
+            if (t.type === "text") {
+                fragment.appendChild(_text(t.text, highlight))
+                return
+            }
+            if (t.type === "link") {
+                const a = document.createElement("a")
+                a.className = "rich-link"
+                a.href = t.href
+                a.target = "_blank"
+                a.rel = "noopener noreferrer nofollow"
+                a.appendChild(_text(t.text, highlight))
+                fragment.appendChild(a)
+                return
+            }
+            const btn = document.createElement("button")
+            btn.type = "button"
+            if (t.type === "mention") {
+                btn.className = "rich-mention"
+                btn.dataset.action = "filter-mention"
+                btn.dataset.username = t.username
+                btn.title = `Show posts mentioning @${t.username}`
+            } else {
+                btn.className = "rich-hashtag"
+                btn.dataset.action = "filter-tag"
+                btn.dataset.tag = t.tag
+                btn.title = `Show posts tagged #${t.tag}`
+            }
+            btn.appendChild(_text(t.text, highlight))
+            fragment.appendChild(btn)
+        })
+        return fragment
+    }
+
+    return { tokenize, hashtags, mentions, searchTerms, render }
+})()
+
+// -----------------------------
+// PostService and helpers for a local social feed (demo only)
+// -----------------------------
+const PostService = (() => {
+    // Each post is its own record, so a like or comment rewrites one post
+    // rather than the whole feed; IDS_KEY lists them, oldest first
+    const IDS_KEY = "auth.postIds"
+    const _postKey = (id) => `auth.post.${id}`
+    const SEEDED_KEY = "auth.postsSeeded"
+    const REVISION_LIMIT = 20 // earlier versions kept per post
+
+    // Ownership: every change is made by the signed-in user, on their own
+    // content unless `moderate` lets moderators and admins act on anyone's
+    function _owns(actor, username, { moderate = false } = {}) {
+        if (!actor) return false
+        return actor.username === username || (moderate && AuthService.hasRole(actor, "moderator"))
+    }
+    function _denied(error = "You can only change your own posts and comments.") {
+        return { ok: false, error }
+    }
+    const _actor = () => AuthService.getCurrentUser({ touch: false })
+
+    const _excerpt = (text) => (text.length > 80 ? `${text.slice(0, 79)}…` : text)
+
+    // Tell each newly @mentioned user, except those in `skip`
+    async function _notifyMentions(text, { actor, postId, commentId, previous = "", skip = [] }) {
+        const before = new Set(RichText.mentions(previous))
+        for (const username of RichText.mentions(text)) {
+            if (before.has(username) || skip.includes(username)) continue
+            await NotificationService.notify(username, "mention", { actor, postId, commentId, excerpt: _excerpt(text) })
+        }
+    }
+
+    // A comment's id plus the ids of every reply beneath it
+    function _thread(comments, id) {
+        const ids = new Set([id])
+        let grew = true
+        while (grew) {
+            grew = false
+            comments.forEach((c) => {
+                if (c.parentId && ids.has(c.parentId) && !ids.has(c.id)) {
+                    ids.add(c.id)
+                    grew = true
+                }
+            })
+        }
+        return ids
+    }
+
+    // 0 for a top-level comment, 1 for a reply to one, and so on
+    function _depth(comments, comment) {
+        let depth = 0
+        let parent = comments.find((c) => c.id === comment.parentId)
+        while (parent && depth <= comments.length) {
+            depth++
+            parent = comments.find((c) => c.id === parent.parentId)
+        }
+        return depth
+    }
+
+    // Flips username's emoji reaction on a post or comment; returns whether
+    // they now have it. Emoji nobody uses are dropped from the map.
+    function _toggleReaction(target, emoji, username) {
+        const names = target.reactions[emoji] || []
+        const on = !names.includes(username)
+        const next = on ? [...names, username] : names.filter((u) => u !== username)
+        if (next.length) target.reactions[emoji] = next
+        else delete target.reactions[emoji]
+        return on
+    }
+
+    async function _ids() {
+        return Store.getChecked(IDS_KEY, [], Array.isArray)
+    }
+    // Every post, oldest first
+    async function _load() {
+        const ids = await _ids()
+        const posts = await Store.getMany(ids.map(_postKey))
+        return posts.filter((p, i) => {
+            if (p === undefined) return false // reset from the recovery screen
+            if (!isPlainObject(p)) {
+                throw new DataCorruptionError(_postKey(ids[i]), { reason: "in an unexpected format", raw: p })
+            }
+            return true
+        })
+    }
+    async function _loadPost(id) {
+        return Store.getChecked(_postKey(id), null, isPlainObject)
+    }
+    async function _savePost(post) {
+        await Store.set(_postKey(post.id), post)
+    }
+    // The record goes in before the index names it
+    async function _insert(post) {
+        await _savePost(post)
+        await Store.set(IDS_KEY, [...(await _ids()), post.id])
+    }
+    async function _delete(id) {
+        const ids = (await _ids()).filter((x) => x !== id)
+        await Store.set(IDS_KEY, ids)
+        await Store.remove(_postKey(id))
+    }
+    // Rewrites every post for bulk changes (seeding, imports, purges);
+    // posts missing from `list` are deleted
+    async function _save(list) {
+        const before = await _ids()
+        for (const p of list) await _savePost(p)
+        const ids = list.map((p) => p.id)
+        await Store.set(IDS_KEY, ids)
+        const kept = new Set(ids)
+        for (const id of before) if (!kept.has(id)) await Store.remove(_postKey(id))
+    }
+    async function seed() {
+        if (await Store.get(SEEDED_KEY, false)) return
+        const now = Date.now()
+        const demo = [
+            {
+                id: crypto.randomUUID?.() || String(now + 1),
+                author: "alex",
+                text: "Just started using this app. Loving the clean UI!",
+                createdAt: new Date(now - 1000 * 60 * 60).toISOString(),
+                reactions: { "👍": ["maria"] },
+                editedAt: null,
+                revisions: [],
+                comments: [
+                    {
+                        id: "c1",
+                        author: "maria",
+                        text: "Welcome! 🎉",
+                        createdAt: new Date(now - 1000 * 60 * 45).toISOString(),
+                        parentId: null,
+                        reactions: {},
+                    },
+                ],
+            },
+            {
+                id: crypto.randomUUID?.() || String(now + 2),
+                author: "maria",
+                text: "Dark mode all the way. What features should we add next?",
+                createdAt: new Date(now - 1000 * 60 * 30).toISOString(),
+                reactions: {},
+                comments: [],
+                editedAt: null,
+                revisions: [],
+            },
+        ]
+        // Keep anything posted before the demo content arrived
+        await _save([...demo, ...(await _load())])
+        await Store.set(SEEDED_KEY, true)
+    }
+    // Feed orders, each highest first. Ties fall back to createdAt and then
+    // id, so the key doubles as a stable paging cursor.
+    const SORTS = {
+        newest: () => "",
+        liked: (p) => String(p.reactions[AppConfig.reactions.like]?.length || 0).padStart(8, "0"),
+        discussed: (p) => String(p.comments.length).padStart(8, "0"),
+    }
+    const _cursorOf = (p, sort) => `${(SORTS[sort] || SORTS.newest)(p)}|${p.createdAt}|${p.id}`
+
+    // filter: { tag, mention, query, author, since, until, following, sort },
+    // sorted by SORTS[sort] (newest first by default). tag keeps posts using
+    // that #hashtag; mention keeps posts by or mentioning that user; both
+    // and query look at comments too. query matches posts whose text or
+    // comments contain every word; since/until are ISO timestamps;
+    // following is a username whose followed accounts the authors must be.
+    async function list({
+        tag = null,
+        mention = null,
+        query = "",
+        author = null,
+        since = null,
+        until = null,
+        following = null,
+        sort = "newest",
+    } = {}) {
+        const terms = RichText.searchTerms(query)
+        const texts = (p) => [p.text, ...p.comments.map((c) => c.text)]
+        let posts = (await _load())
+            .filter((p) => !tag || texts(p).some((t) => RichText.hashtags(t).includes(tag)))
+            .filter(
+                (p) => !mention || p.author === mention || texts(p).some((t) => RichText.mentions(t).includes(mention)),
+            )
+            .filter((p) => !author || p.author === author)
+            .filter((p) => (!since || p.createdAt >= since) && (!until || p.createdAt <= until))
+            .filter((p) => {
+                const haystack = texts(p).join("\n").toLowerCase()
+                return terms.every((t) => haystack.includes(t))
+            })
+        if (following) {
+            const authors = [...new Set(posts.map((p) => p.author))]
+            const checks = await Promise.all(authors.map((a) => FollowService.isFollowing(following, a)))
+            const followed = new Set(authors.filter((a, i) => checks[i]))
+            posts = posts.filter((p) => followed.has(p.author))
+        }
+        const keys = new Map(posts.map((p) => [p, _cursorOf(p, sort)]))
+        return posts.sort((a, b) => (keys.get(a) < keys.get(b) ? 1 : -1))
+    }
+
+    // One page of list(filter). `cursor` is the opaque nextCursor of the
+    // previous page, so posts added or removed meanwhile don't shift pages.
+    async function page(filter = {}, { cursor = null, limit = AppConfig.feed.pageSize } = {}) {
+        const posts = await list(filter)
+        const start = cursor ? posts.findIndex((p) => _cursorOf(p, filter.sort) < cursor) : 0
+        const items = start < 0 ? [] : posts.slice(start, start + limit)
+        const more = start >= 0 && start + limit < posts.length
+        return { posts: items, nextCursor: more ? _cursorOf(items.at(-1), filter.sort) : null }
+    }
+
+    async function get(id) {
+        return _loadPost(id)
+    }
+    async function add({ author, text }) {
+        const actor = await _actor()
+        if (!_owns(actor, author)) return _denied("You can only post as yourself.")
+        if (!AuthService.can(actor, "post")) return _denied("Verify your email to start posting.")
+        const post = {
+            id: crypto.randomUUID?.() || String(Date.now()),
+            author,
+            text: String(text || "").trim(),
+            createdAt: new Date().toISOString(),
+            reactions: {},
+            comments: [],
+            editedAt: null,
+            revisions: [],
+        }
+        if (!post.text) return { ok: false, error: "Post cannot be empty." }
+        await _insert(post)
+        await AuditLog.record(author, "post.created", { postId: post.id })
+        await _notifyMentions(post.text, { actor: author, postId: post.id })
+        SyncBus.publish("posts:changed", { id: post.id, change: "add" })
+        return { ok: true, post }
+    }
+    // On the post itself, or on one of its comments with commentId
+    async function toggleReaction(id, emoji, username, { commentId = null } = {}) {
+        if (!AppConfig.reactions.choices.includes(emoji)) return { ok: false, error: "Unknown reaction." }
+        const actor = await _actor()
+        if (!_owns(actor, username)) return _denied("You can only react as yourself.")
+        // Reacting is covered by the "like" permission
+        if (!AuthService.can(actor, "like")) return _denied("Verify your email to react to posts.")
+        const p = await _loadPost(id)
+        if (!p) return { ok: false, error: "Post not found." }
+        const target = commentId ? p.comments.find((c) => c.id === commentId) : p
+        if (!target) return { ok: false, error: "Comment not found." }
+        const reacted = _toggleReaction(target, emoji, username)
+        await _savePost(p)
+        if (reacted) {
+            await NotificationService.notify(target.author, "reaction", {
+                actor: username,
+                postId: id,
+                commentId: commentId || undefined,
+                emoji,
+                excerpt: _excerpt(target.text),
+            })
+        }
+        SyncBus.publish("posts:changed", { id, change: "reaction" })
+        return { ok: true, reacted, reactions: target.reactions }
+    }
+
+    // Likes are the "like" reaction
+    async function toggleLike(id, username) {
+        const res = await toggleReaction(id, AppConfig.reactions.like, username)
+        if (!res.ok) return res
+        return { ok: true, likes: (res.reactions[AppConfig.reactions.like] || []).length }
+    }
+
+    async function deletePost(id) {
+        const actor = await _actor()
+        const p = await _loadPost(id)
+        if (!p) return { ok: false, error: "Post not found." }
+        if (!_owns(actor, p.author, { moderate: true })) return _denied()
+        await _delete(id)
+        await AuditLog.record(p.author, "post.deleted", { postId: id, by: actor.username })
+        SyncBus.publish("posts:changed", { id, change: "delete" })
+        return { ok: true }
+    }
+
+    // Only the author can edit. The text being replaced goes on the post's
+    // revision list with the time it was written.
+    async function editPost(id, text) {
+        const actor = await _actor()
+        const t = String(text || "").trim()
+        if (!t) return { ok: false, error: "Post cannot be empty." }
+        const p = await _loadPost(id)
+        if (!p) return { ok: false, error: "Post not found." }
+        if (!_owns(actor, p.author)) return _denied()
+        if (t === p.text) return { ok: true, post: p }
+        const previous = p.text
+        p.revisions = [...p.revisions, { text: previous, at: p.editedAt || p.createdAt }].slice(-REVISION_LIMIT)
+        p.text = t
+        p.editedAt = new Date().toISOString()
+        await _savePost(p)
+        await AuditLog.record(p.author, "post.edited", { postId: id })
+        await _notifyMentions(t, { actor: p.author, postId: id, previous })
+        SyncBus.publish("posts:changed", { id, change: "edit" })
+        return { ok: true, post: p }
+    }
+
+    // With parentId the comment is a reply, at most AppConfig.comments.maxDepth
+    // levels below a top-level comment
+    async function addComment(id, { author, text, parentId = null }) {
+        const actor = await _actor()
+        if (!_owns(actor, author)) return _denied("You can only comment as yourself.")
+        if (!AuthService.can(actor, "comment")) return _denied("Verify your email to join the conversation.")
+        const t = String(text || "").trim()
+        if (!t) return { ok: false, error: "Comment cannot be empty." }
+        const p = await _loadPost(id)
+        if (!p) return { ok: false, error: "Post not found." }
+        const parent = parentId ? p.comments.find((c) => c.id === parentId) : null
+        if (parentId) {
+            if (!parent) return { ok: false, error: "The comment you're replying to is gone." }
+            if (_depth(p.comments, parent) >= AppConfig.comments.maxDepth) {
+                return { ok: false, error: "This thread can't go any deeper. Reply further up instead." }
+            }
+        }
+        const comment = {
+            id: crypto.randomUUID?.() || String(Date.now()),
+            author,
+            text: t,
+            createdAt: new Date().toISOString(),
+            parentId,
+            reactions: {},
+        }
+        p.comments.push(comment)
+        await _savePost(p)
+        await AuditLog.record(author, "comment.added", { postId: id, commentId: comment.id })
+        // Post author and parent comment author hear about it once each
+        const about = { actor: author, postId: id, commentId: comment.id, excerpt: _excerpt(t) }
+        if (parent) await NotificationService.notify(parent.author, "reply", about)
+        if (parent?.author !== p.author) await NotificationService.notify(p.author, "comment", about)
+        await _notifyMentions(t, { actor: author, postId: id, commentId: comment.id, skip: [p.author, parent?.author] })
+        SyncBus.publish("posts:changed", { id, change: "comment" })
+        return { ok: true, count: p.comments.length }
+    }
+    // The comment's author, the post's author and moderators may delete it.
+    // Replies beneath it go too.
+    async function deleteComment(id, commentId) {
+        const actor = await _actor()
+        const p = await _loadPost(id)
+        if (!p) return { ok: false, error: "Post not found." }
+        const comment = p.comments.find((c) => c.id === commentId)
+        if (!comment) return { ok: false, error: "Comment not found." }
+        if (!_owns(actor, comment.author, { moderate: true }) && !_owns(actor, p.author)) return _denied()
+        const removed = _thread(p.comments, commentId)
+        p.comments = p.comments.filter((c) => !removed.has(c.id))
+        await _savePost(p)
+        await AuditLog.record(comment.author, "comment.deleted", { postId: id, commentId, by: actor.username })
+        SyncBus.publish("posts:changed", { id, change: "comment" })
+        return { ok: true, count: p.comments.length }
+    }
+
+    // Account deletion: drop the user's posts, and their comment threads and
+    // reactions on everyone else's
+    async function removeUserContent(username) {
+        if (!_owns(await _actor(), username)) return _denied()
+        const withoutUser = (reactions) =>
+            Object.fromEntries(
+                Object.entries(reactions)
+                    .map(([emoji, names]) => [emoji, names.filter((u) => u !== username)])
+                    .filter(([, names]) => names.length),
+            )
+        const next = (await _load())
+            .filter((p) => p.author !== username)
+            .map((p) => {
+                const removed = new Set()
+                p.comments
+                    .filter((c) => c.author === username)
+                    .forEach((c) => _thread(p.comments, c.id).forEach((x) => removed.add(x)))
+                return {
+                    ...p,
+                    reactions: withoutUser(p.reactions),
+                    comments: p.comments
+                        .filter((c) => !removed.has(c.id))
+                        .map((c) => ({ ...c, reactions: withoutUser(c.reactions) })),
+                }
+            })
+        await _save(next)
+        SyncBus.publish("posts:changed", { change: "purge" })
+        return { ok: true }
+    }
+
+    // Archive export: the user's own posts (with everyone's comments on them),
+    // their comments on other posts and every reaction they've left
+    async function exportFor(username) {
+        const all = await _load()
+        const reactions = []
+        all.forEach((p) => {
+            const collect = (target, commentId) =>
+                Object.entries(target.reactions).forEach(([emoji, names]) => {
+                    if (names.includes(username)) reactions.push({ postId: p.id, commentId, emoji })
+                })
+            collect(p, null)
+            p.comments.forEach((c) => collect(c, c.id))
+        })
+        return {
+            posts: all.filter((p) => p.author === username),
+            comments: all
+                .filter((p) => p.author !== username)
+                .flatMap((p) => p.comments.filter((c) => c.author === username).map((c) => ({ ...c, postId: p.id }))),
+            reactions,
+        }
+    }
+
+    // Archive import into username's account. Content written as `from` is
+    // re-attributed to username. Items already here (same id, author and
+    // time) are merged rather than duplicated; any other id clash gets a
+    // fresh id. Comments and reactions on posts this browser doesn't have
+    // are skipped; replies whose parent is missing become top-level.
+    // Anything by other people only counts where this browser already has
+    // it: the archive can't put words or reactions in someone else's name.
+    async function importFor(username, { from, posts, comments, reactions }) {
+        if (!_owns(await _actor(), username)) return _denied()
+        const list = await _load()
+        const byId = new Map(list.map((p) => [p.id, p]))
+        const idMap = new Map() // archived post id -> id here
+        const commentIdMap = new Map() // `${post id here}/${archived comment id}` -> id here
+        const counts = { posts: 0, comments: 0, reactions: 0, skipped: 0 }
+        const rename = (name) => (name === from ? username : name)
+        const newId = () => crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+        const sameItem = (a, b) => a.author === b.author && a.createdAt === b.createdAt
+        const target = (postId) => byId.get(idMap.get(postId) || postId)
+        const commentIn = (post, id) => post.comments.find((c) => c.id === (commentIdMap.get(`${post.id}/${id}`) || id))
+
+        // Adds the reaction unless it's already there; returns whether it was new
+        function mergeReaction(item, emoji, name) {
+            if (!AppConfig.reactions.choices.includes(emoji) || item.reactions[emoji]?.includes(name)) return false
+            _toggleReaction(item, emoji, name)
+            return true
+        }
+        function mergeReactions(item, reactions = {}) {
+            Object.entries(reactions).forEach(([emoji, names]) => {
+                if (names.includes(from)) mergeReaction(item, emoji, username)
+            })
+        }
+        function mergeComment(post, c) {
+            const parent = c.parentId ? commentIn(post, c.parentId) : null
+            const comment = {
+                id: c.id,
+                author: rename(c.author),
+                text: c.text.trim(),
+                createdAt: c.createdAt,
+                parentId: parent ? parent.id : null,
+                reactions: {},
+            }
+            const existing = post.comments.find((x) => x.id === comment.id)
+            if (existing && sameItem(existing, comment)) {
+                commentIdMap.set(`${post.id}/${c.id}`, existing.id)
+                mergeReactions(existing, c.reactions)
+                return false
+            }
+            if (c.author !== from) {
+                counts.skipped++
+                return false
+            }
+            if (existing || !comment.id) comment.id = newId()
+            commentIdMap.set(`${post.id}/${c.id}`, comment.id)
+            mergeReactions(comment, c.reactions)
+            post.comments.push(comment)
+            return true
+        }
+
+        posts.forEach((p) => {
+            const incoming = { id: p.id, author: username, text: p.text.trim(), createdAt: p.createdAt }
+            let post = byId.get(p.id)
+            if (!post || !sameItem(post, incoming)) {
+                const revisions = (p.revisions || []).map(({ text, at }) => ({ text, at }))
+                const history = { editedAt: p.editedAt || null, revisions }
+                post = { ...incoming, ...history, id: post ? newId() : p.id, reactions: {}, comments: [] }
+                list.push(post)
+                byId.set(post.id, post)
+                counts.posts++
+            }
+            idMap.set(p.id, post.id)
+            mergeReactions(post, p.reactions)
+            p.comments.forEach((c) => mergeComment(post, c))
+        })
+        comments.forEach((c) => {
+            const post = target(c.postId)
+            if (!post) counts.skipped++
+            else if (mergeComment(post, c)) counts.comments++
+        })
+        reactions.forEach((r) => {
+            const post = target(r.postId)
+            const item = post && r.commentId ? commentIn(post, r.commentId) : post
+            if (!item) counts.skipped++
+            else if (mergeReaction(item, r.emoji, username)) counts.reactions++
+        })
+
+        await _save(list)
+        SyncBus.publish("posts:changed", { change: "import" })
+        return { ok: true, counts }
+    }
+
+    return {
+        SORTS: Object.keys(SORTS),
+        seed,
+        list,
+        page,
+        get,
+        add,
+        toggleReaction,
+        toggleLike,
+        deletePost,
+        editPost,
+        addComment,
+        deleteComment,
+        removeUserContent,
+        exportFor,
+        importFor,
+    }
+})()
+
+// -----------------------------
+// BookmarkService: posts each user saved, optionally sorted into named
+// collections. Entries keep a snapshot of the post so one deleted after
+// saving can still be recognised.
+// ({ items: [{ postId, savedAt, collection, snapshot: { author, text, createdAt } }], collections })
+// -----------------------------
+const BookmarkService = (() => {
+    const KEY = "auth.bookmarks" // object keyed by username
+    const COLLECTION_MAX = 40
+
+    const _load = () => Store.getChecked(KEY, {}, isPlainObject)
+    const _entry = (all, username) => all[username] || { items: [], collections: [] }
+
+    // Only the signed-in user can change their bookmarks
+    async function _owns(username) {
+        const actor = await AuthService.getCurrentUser({ touch: false })
+        return actor?.username === username
+    }
+
+    async function _update(username, change) {
+        if (!(await _owns(username))) return { ok: false, error: "You can only change your own bookmarks." }
+        const all = await _load()
+        const entry = _entry(all, username)
+        const res = change(entry)
+        if (!res.ok) return res
+        all[username] = entry
+        await Store.set(KEY, all)
+        SyncBus.publish("bookmarks:changed", { username })
+        return res
+    }
+
+    async function ids(username) {
+        return new Set(_entry(await _load(), username).items.map((b) => b.postId))
+    }
+
+    async function collections(username) {
+        return _entry(await _load(), username).collections.slice()
+    }
+
+    // Newest saved first, each with its live post or null once deleted.
+    // collection: undefined for all, null for unsorted, or a name.
+    async function list(username, { collection } = {}) {
+        const posts = new Map((await PostService.list()).map((p) => [p.id, p]))
+        const { items } = _entry(await _load(), username)
+        return items
+            .filter((b) => collection === undefined || b.collection === collection)
+            .map((b) => ({ ...b, post: posts.get(b.postId) || null }))
+            .sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1))
+    }
+
+    async function toggle(username, postId) {
+        const post = await PostService.get(postId)
+        return _update(username, (entry) => {
+            const i = entry.items.findIndex((b) => b.postId === postId)
+            if (i >= 0) {
+                entry.items.splice(i, 1)
+                return { ok: true, saved: false }
+            }
+            if (!post) return { ok: false, error: "That post no longer exists." }
+            entry.items.push({
+                postId,
+                savedAt: new Date().toISOString(),
+                collection: null,
+                snapshot: { author: post.author, text: post.text, createdAt: post.createdAt },
+            })
+            return { ok: true, saved: true }
+        })
+    }
+
+    // name null moves the bookmark back to unsorted
+    async function move(username, postId, name) {
+        return _update(username, (entry) => {
+            const item = entry.items.find((b) => b.postId === postId)
+            if (!item) return { ok: false, error: "That bookmark is gone." }
+            if (name !== null && !entry.collections.includes(name)) {
+                return { ok: false, error: "No such collection." }
+            }
+            item.collection = name
+            return { ok: true }
+        })
+    }
+
+    async function addCollection(username, name) {
+        const n = String(name || "").trim()
+        if (!n) return { ok: false, error: "Name the collection first." }
+        if (n.length > COLLECTION_MAX) {
+            return { ok: false, error: `Collection names can be at most ${COLLECTION_MAX} characters.` }
+        }
+        return _update(username, (entry) => {
+            if (entry.collections.some((c) => c.toLowerCase() === n.toLowerCase())) {
+                return { ok: false, error: "You already have a collection with that name." }
+            }
+            entry.collections.push(n)
+            return { ok: true, name: n }
+        })
+    }
+
+    // Bookmarks in it stay saved, unsorted
+    async function removeCollection(username, name) {
+        return _update(username, (entry) => {
+            if (!entry.collections.includes(name)) return { ok: false, error: "No such collection." }
+            entry.collections = entry.collections.filter((c) => c !== name)
+            entry.items.forEach((b) => {
+                if (b.collection === name) b.collection = null
+            })
+            return { ok: true }
+        })
+    }
+
+    async function removeUser(username) {
+        const all = await _load()
+        delete all[username]
+        await Store.set(KEY, all)
+    }
+
+    return { ids, collections, list, toggle, move, addCollection, removeCollection, removeUser }
+})()
+
+// -----------------------------
+// FollowService: who follows whom, one list of followed usernames per
+// account, and follow suggestions computed from it
+// -----------------------------
+const FollowService = (() => {
+    const KEY = "auth.follows" // object: username -> usernames they follow
+
+    const _load = () => Store.getChecked(KEY, {}, isPlainObject)
+    const _save = (graph) => Store.set(KEY, graph)
+
+    async function following(username) {
+        return ((await _load())[username] || []).slice()
+    }
+    async function followers(username) {
+        const graph = await _load()
+        return Object.keys(graph).filter((u) => graph[u].includes(username))
+    }
+    async function counts(username) {
+        const graph = await _load()
+        return {
+            following: (graph[username] || []).length,
+            followers: Object.values(graph).filter((list) => list.includes(username)).length,
+        }
+    }
+    async function isFollowing(username, other) {
+        return ((await _load())[username] || []).includes(other)
+    }
+
+    // Follow or unfollow `other` as the signed-in user
+    async function toggle(username, other) {
+        const actor = await AuthService.getCurrentUser({ touch: false })
+        if (actor?.username !== username) return { ok: false, error: "You can only change who you follow." }
+        if (!AuthService.can(actor, "follow")) return { ok: false, error: "Verify your email to follow people." }
+        if (other === username) return { ok: false, error: "You can't follow yourself." }
+        const graph = await _load()
+        const list = graph[username] || []
+        const now = !list.includes(other)
+        if (now && !(await AuthService.usernames()).includes(other)) return { ok: false, error: "No such user." }
+        graph[username] = now ? [...list, other] : list.filter((u) => u !== other)
+        await _save(graph)
+        SyncBus.publish("follows:changed", { username, other })
+        if (now) await NotificationService.notify(other, "follow", { actor: username })
+        return { ok: true, following: now }
+    }
+
+    // Account deletion: the account's own list goes, and nobody keeps following it
+    async function removeUser(username) {
+        const graph = await _load()
+        delete graph[username]
+        Object.keys(graph).forEach((u) => (graph[u] = graph[u].filter((f) => f !== username)))
+        await _save(graph)
+        SyncBus.publish("follows:changed", { username })
+    }
+
+    // Archive import: follow registered users not followed yet; returns how many were new
+    async function merge(username, others) {
+        const registered = await AuthService.usernames()
+        const graph = await _load()
+        const list = graph[username] || []
+        const added = [...new Set(others)].filter((u) => u !== username && !list.includes(u) && registered.includes(u))
+        if (!added.length) return 0
+        graph[username] = [...list, ...added]
+        await _save(graph)
+        SyncBus.publish("follows:changed", { username })
+        return added.length
+    }
+
+    // Registered users `username` doesn't follow yet, most mutual follows
+    // first (people they follow who follow the candidate, plus whether the
+    // candidate follows them back), then most recently active
+    async function suggestions(username, { limit = 3 } = {}) {
+        const graph = await _load()
+        const mine = graph[username] || []
+        const lastActive = new Map()
+        const seen = (name, at) => {
+            if (at > (lastActive.get(name) || "")) lastActive.set(name, at)
+        }
+        ;(await PostService.list()).forEach((p) => {
+            seen(p.author, p.editedAt || p.createdAt)
+            p.comments.forEach((c) => seen(c.author, c.createdAt))
+        })
+        return (await AuthService.usernames())
+            .filter((name) => name !== username && !mine.includes(name))
+            .map((name) => {
+                const followsYou = (graph[name] || []).includes(username)
+                const mutual = mine.filter((f) => (graph[f] || []).includes(name)).length
+                return { username: name, mutual, followsYou, lastActiveAt: lastActive.get(name) || null }
+            })
+            .sort(
+                (a, b) =>
+                    b.mutual + b.followsYou - (a.mutual + a.followsYou) ||
+                    (b.lastActiveAt || "").localeCompare(a.lastActiveAt || "") ||
+                    a.username.localeCompare(b.username),
+            )
+            .slice(0, limit)
+    }
+
+    return { following, followers, counts, isFollowing, toggle, removeUser, merge, suggestions }
+})()
+
+// -----------------------------
+// AccountService: account-level operations that span the other services
+// -----------------------------
+const AccountService = (() => {
+    // Archive: { format, version, exportedAt, profile, posts, comments, reactions, follows }.
+    // Bump ARCHIVE_VERSION when the shape changes and keep importing older ones.
+    const ARCHIVE_FORMAT = "auth-ui.account"
+    const ARCHIVE_VERSION = 2
+
+    async function deleteAccount({ password }) {
+        return AuthService.deleteAccount({
+            password,
+            beforeDelete: async (username) => {
+                await PostService.removeUserContent(username)
+                await FollowService.removeUser(username)
+                await AuditLog.removeUser(username)
+                await NotificationService.removeUser(username)
+                await MessageService.removeUser(username)
+                await BookmarkService.removeUser(username)
+            },
+        })
+    }
+
+    // Everything the signed-in user owns, minus any password or 2FA material
+    async function exportData() {
+        const user = await AuthService.getCurrentUser()
+        if (!user) return { ok: false, error: "Your session has ended. Please log in again." }
+        const { username, email, dob, createdAt, emailVerified } = user
+        const archive = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: { username, email, dob, createdAt, emailVerified },
+            ...(await PostService.exportFor(username)),
+            follows: (await FollowService.following(username)).map((name) => `@${name}`),
+        }
+        await AuditLog.record(username, "data.exported")
+        return { ok: true, filename: `${username}-archive.json`, json: JSON.stringify(archive, null, 2) }
+    }
+
+    function _validateArchive(data) {
+        const isText = (v) => typeof v === "string" && v.trim() !== ""
+        const isDate = (v) => typeof v === "string" && !isNaN(new Date(v))
+        const isReactions = (r) =>
+            isPlainObject(r) && Object.values(r).every((names) => Array.isArray(names) && names.every(isText))
+        const isComment = (c) =>
+            isPlainObject(c) &&
+            isText(c.author) &&
+            isText(c.text) &&
+            isDate(c.createdAt) &&
+            (c.parentId == null || isText(c.parentId)) &&
+            (c.reactions === undefined || isReactions(c.reactions))
+        const isReaction = (r) =>
+            isPlainObject(r) && isText(r.postId) && (r.commentId == null || isText(r.commentId)) && isText(r.emoji)
+        const isRevision = (r) => isPlainObject(r) && typeof r.text === "string" && isDate(r.at)
+        const isPost = (p) =>
+            isPlainObject(p) &&
+            isText(p.id) &&
+            isText(p.text) &&
+            isDate(p.createdAt) &&
+            (p.editedAt == null || isDate(p.editedAt)) &&
+            (p.revisions === undefined || (Array.isArray(p.revisions) && p.revisions.every(isRevision))) &&
+            isReactions(p.reactions) &&
+            Array.isArray(p.comments) &&
+            p.comments.every(isComment)
+
+        if (!isPlainObject(data) || data.format !== ARCHIVE_FORMAT) return "That file isn't an account archive."
+        if (!Number.isInteger(data.version) || data.version < 1) return "The archive has no valid version."
+        if (data.version > ARCHIVE_VERSION) return "This archive comes from a newer version of the app."
+        if (!isPlainObject(data.profile) || !isText(data.profile.username)) return "The archive's profile is missing."
+        if (!Array.isArray(data.posts) || !data.posts.every(isPost)) return "The archive's posts are damaged."
+        if (!Array.isArray(data.comments) || !data.comments.every((c) => isComment(c) && isText(c.postId))) {
+            return "The archive's comments are damaged."
+        }
+        // Only the archive's own account can be the author at the top level
+        if (data.posts.some((p) => p.author !== undefined && p.author !== data.profile.username)) {
+            return "The archive holds posts by another account."
+        }
+        if (data.comments.some((c) => c.author !== data.profile.username)) {
+            return "The archive holds comments by another account."
+        }
+        if (!Array.isArray(data.reactions) || !data.reactions.every(isReaction)) {
+            return "The archive's reactions are damaged."
+        }
+        if (!Array.isArray(data.follows) || !data.follows.every((h) => isText(h) && h.startsWith("@"))) {
+            return "The archive's follows are damaged."
+        }
+        return null
+    }
+
+    // Version 1 had likes (usernames on posts, post ids at the top level)
+    // where version 2 has reactions
+    function _fromV1(data) {
+        const like = AppConfig.reactions.like
+        ;(Array.isArray(data.posts) ? data.posts : []).forEach((p) => {
+            if (!isPlainObject(p)) return
+            p.reactions = Array.isArray(p.likes) && p.likes.length ? { [like]: p.likes } : {}
+            delete p.likes
+        })
+        data.reactions = Array.isArray(data.likes) ? data.likes.map((postId) => ({ postId, emoji: like })) : data.likes
+        delete data.likes
+        data.version = 2
+    }
+
+    // Merge an archive into the signed-in account. The archive may come from
+    // an account with another name (e.g. a different browser); its content
+    // is re-attributed to this one.
+    async function importData(text) {
+        const user = await AuthService.getCurrentUser()
+        if (!user) return { ok: false, error: "Your session has ended. Please log in again." }
+        let data
+        try {
+            data = JSON.parse(text)
+        } catch {
+            return { ok: false, error: "That file isn't valid JSON." }
+        }
+        if (isPlainObject(data) && data.format === ARCHIVE_FORMAT && data.version === 1) _fromV1(data)
+        const error = _validateArchive(data)
+        if (error) return { ok: false, error }
+        if (!AuthService.can(user, "post")) return { ok: false, error: "Verify your email to import posts." }
+
+        const from = data.profile.username
+        const imported = await PostService.importFor(user.username, { from, ...data })
+        if (!imported.ok) return imported
+        const { counts } = imported
+        const handles = data.follows.map((h) => h.replace(/^@/, "").toLowerCase())
+        const follows = await FollowService.merge(user.username, handles)
+        const summary = { ...counts, follows, renamedFrom: from !== user.username ? from : null }
+        await AuditLog.record(user.username, "data.imported", summary)
+        return { ok: true, summary }
+    }
+
+    return { deleteAccount, exportData, importData }
+})()
+
+// -----------------------------
+// AdminService: content moderation from the admin console, open to
+// moderators and admins. User management lives in AuthService.
+// -----------------------------
+const AdminService = (() => {
+    async function _moderator() {
+        const actor = await AuthService.getCurrentUser()
+        return AuthService.hasRole(actor, "moderator") ? actor : null
+    }
+
+    async function removePost(id) {
+        const actor = await _moderator()
+        if (!actor) return { ok: false, error: "You don't have permission to do that." }
+        const post = (await PostService.list()).find((p) => p.id === id)
+        if (!post) return { ok: false, error: "Post not found." }
+        const res = await PostService.deletePost(id)
+        if (res.ok) await AdminLog.record(actor.username, "post.removed", post.author, { postId: id, text: post.text })
+        return res
+    }
+
+    async function removeComment(postId, commentId) {
+        const actor = await _moderator()
+        if (!actor) return { ok: false, error: "You don't have permission to do that." }
+        const post = (await PostService.list()).find((p) => p.id === postId)
+        const comment = post?.comments.find((c) => c.id === commentId)
+        if (!comment) return { ok: false, error: "Comment not found." }
+        const res = await PostService.deleteComment(postId, commentId)
+        if (res.ok) {
+            await AdminLog.record(actor.username, "comment.removed", comment.author, {
+                postId,
+                commentId,
+                text: comment.text,
+            })
+        }
+        return res
+    }
+
+    return { removePost, removeComment }
+})()
+
+// -----------------------------
+// UI Helpers
+// -----------------------------
+function el(id) {
+    return document.getElementById(id)
+}
+
+// Builds an element without parsing HTML, so text from users can't turn
+// into markup. Props are assigned as element properties, except `dataset`
+// and `attrs` (setAttribute); children are nodes or text, and null, false
+// and undefined are skipped.
+//   h("button", { className: "btn", type: "button", dataset: { id } }, "Reply")
+function h(tag, props = {}, ...children) {
+    const node = document.createElement(tag)
+    Object.entries(props).forEach(([key, value]) => {
+        if (value === undefined || value === null) return
+        if (key === "innerHTML" || key === "outerHTML") throw new Error(`h() doesn't set ${key}`)
+        if (key === "dataset") Object.assign(node.dataset, value)
+        else if (key === "attrs") Object.entries(value).forEach(([name, v]) => node.setAttribute(name, String(v)))
+        else node[key] = value
+    })
+    children
+        .flat()
+        .filter((c) => c !== null && c !== undefined && c !== false)
+        .forEach((c) => node.append(c instanceof Node ? c : String(c)))
+    return node
+}
+
+function showMessage(containerId, type, text) {
+    const container = el(containerId)
     if (!container) return
     container.classList.remove("visually-hidden")
     container.className = "" // reset
@@ -312,287 +3360,1713 @@ function showMessage(containerId, type, text) {
     container.textContent = text
 }
 
-function clearMessage(containerId) {
-    const container = el(containerId)
-    if (!container) return
-    container.classList.add("visually-hidden")
-    container.textContent = ""
+function clearMessage(containerId) {
+    const container = el(containerId)
+    if (!container) return
+    clearInterval(container._countdown)
+    container.classList.add("visually-hidden")
+    container.textContent = ""
+}
+
+function formatDuration(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000))
+    const m = Math.floor(total / 60)
+    const s = total % 60
+    return m ? `${m}:${String(s).padStart(2, "0")}` : `${s}s`
+}
+
+// Show a throttled result with a live "try again in" countdown
+function showRetryCountdown(containerId, res) {
+    const container = el(containerId)
+    if (!container) return
+    clearInterval(container._countdown)
+    const until = Date.now() + res.retryAfterMs
+    const render = () => {
+        const left = until - Date.now()
+        if (left <= 0) {
+            clearMessage(containerId)
+            return
+        }
+        showMessage(containerId, "error", `${res.error} Try again in ${formatDuration(left)}.`)
+    }
+    container._countdown = setInterval(render, 1000)
+    render()
+}
+
+// Disable a form's submit button while an async action runs. Rejections are
+// folded into the usual { ok, error } result so callers only check res.ok.
+async function withBusyForm(form, action) {
+    const submit = form?.querySelector('[type="submit"]')
+    if (submit) submit.disabled = true
+    try {
+        return await action()
+    } catch (err) {
+        console.error(err)
+        return { ok: false, error: "Something went wrong. Please try again." }
+    } finally {
+        if (submit) submit.disabled = false
+    }
+}
+
+// Live strength meter + rule checklist under a password input. Expects
+// #<prefix>-strength-bar, #<prefix>-strength-label and #<prefix>-password-rules;
+// getContext supplies { username, email } for the personal-info rule.
+// signal removes the listeners again, for pages that re-initialise
+function attachPasswordMeter(input, prefix, getContext = () => ({}), { signal } = {}) {
+    const bar = el(`${prefix}-strength-bar`)
+    const label = el(`${prefix}-strength-label`)
+    const checklist = el(`${prefix}-password-rules`)
+    if (!input || !checklist) return
+
+    const items = new Map()
+    checklist.replaceChildren()
+    PasswordPolicy.rules().forEach((rule) => {
+        const li = document.createElement("li")
+        li.className = "rule"
+        li.textContent = rule.label
+        checklist.appendChild(li)
+        items.set(rule.id, li)
+    })
+
+    const update = () => {
+        const res = PasswordPolicy.check(input.value, getContext())
+        res.results.forEach((r) => items.get(r.id)?.classList.toggle("is-met", r.passed))
+        if (bar) {
+            bar.style.width = input.value ? `${((res.score + 1) / 5) * 100}%` : "0"
+            bar.dataset.score = String(res.score)
+        }
+        if (label) label.textContent = input.value ? res.strength : ""
+    }
+    input.addEventListener("input", update, { signal })
+    // Personal-info rule depends on the other fields too
+    input.form?.addEventListener("input", (e) => e.target !== input && update(), { signal })
+    update()
+}
+
+// Save text as a file through a temporary object URL
+function downloadFile(filename, text, type = "application/json") {
+    const url = URL.createObjectURL(new Blob([text], { type }))
+    const a = document.createElement("a")
+    a.href = url
+    a.download = filename
+    a.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+function navigateWithFade(url) {
+    const root = document.documentElement
+    const go = () => {
+        window.location.href = url
+    }
+
+    // Respect reduced motion
+    const prefersReduced =
+        typeof window.matchMedia === "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    if (prefersReduced) {
+        go()
+        return
+    }
+
+    let navigated = false
+    const done = () => {
+        if (navigated) return
+        navigated = true
+        go()
+    }
+
+    // Apply fade-out class and attempt to listen for animation end
+    root.classList.add("fade-out")
+
+    // If no animation is applied, fall back quickly
+    const style = window.getComputedStyle(root)
+    const animName = (style.animationName || style.getPropertyValue("animation-name") || "").toString()
+
+    if (!animName || animName === "none") {
+        // No animation active; navigate immediately on next tick
+        setTimeout(done, 10)
+        return
+    }
+
+    // Safety timeout in case animationend never fires
+    const safety = setTimeout(done, 600)
+    root.addEventListener(
+        "animationend",
+        () => {
+            clearTimeout(safety)
+            done()
+        },
+        { once: true },
+    )
+}
+
+// -----------------------------
+// Router: the route table, its guards and History API navigation.
+// Each HTML file is a page. A page with views (the dashboard) keeps the
+// view in its query string, e.g. dashboard.html?view=explore&q=release,
+// and switches views with pushState instead of a reload.
+// -----------------------------
+const Router = (() => {
+    // auth: signed-in users only, holding `role` when one is given.
+    // guestOnly: signed-in users are sent on to returnTo or the dashboard.
+    const ROUTES = [
+        { page: "login", path: "index.html", guestOnly: true, init: () => initLoginPage() },
+        { page: "signup", path: "signup.html", guestOnly: true, init: () => initSignupPage() },
+        { page: "forgot", path: "forgot.html", init: () => initForgotPage() },
+        {
+            page: "dashboard",
+            path: "dashboard.html",
+            auth: true,
+            views: ["home", "explore", "notifications", "messages", "bookmarks", "settings"],
+            init: () => initDashboardPage(),
+        },
+        { page: "admin", path: "admin.html", auth: true, role: "moderator", init: () => initAdminPage() },
+    ]
+    const LOGIN = "index.html"
+    const HOME = "dashboard.html"
+    const listeners = new Set()
+    let current = null
+
+    // Same-origin href -> { route, url } with url relative to the site
+    // ("dashboard.html?view=settings"), or null for anything else. Hosts
+    // that serve clean URLs (/dashboard for dashboard.html) match too.
+    function match(href) {
+        let url
+        try {
+            url = new URL(href, window.location.href)
+        } catch {
+            return null
+        }
+        if (url.origin !== window.location.origin) return null
+        const file = url.pathname.split("/").pop() || LOGIN
+        const route = ROUTES.find((r) => r.path === file || r.path === `${file}.html`)
+        return route ? { route, url: `${route.path}${url.search}${url.hash}` } : null
+    }
+
+    const _here = () => match(window.location.href)?.url ?? `${current.path}${window.location.search}`
+
+    // Where the current user goes instead of `url`, or null to let them in
+    async function _redirectFor(route, url) {
+        if (!route.auth && !route.guestOnly) return null
+        const user = await AuthService.getCurrentUser()
+        if (route.auth && !user) return `${LOGIN}?returnTo=${encodeURIComponent(url)}`
+        if (route.role && !AuthService.hasRole(user, route.role)) return HOME
+        if (route.guestOnly && user) return returnTo() || HOME
+        return null
+    }
+
+    // This page's returnTo parameter, when it names a page for signed-in users
+    function returnTo() {
+        const param = new URLSearchParams(window.location.search).get("returnTo")
+        if (!param) return null
+        const target = match(param)
+        return target && !target.route.guestOnly ? target.url : null
+    }
+
+    const _notify = () => listeners.forEach((fn) => fn(new URLSearchParams(window.location.search)))
+
+    // Views of this page switch in place; other pages load after the
+    // fade-out. Guards run first either way.
+    async function navigate(href, { replace = false } = {}) {
+        const target = match(href)
+        if (!target) return navigateWithFade(href)
+        const redirect = await _redirectFor(target.route, target.url)
+        if (redirect) return navigate(redirect, { replace: true })
+        if (target.route === current && current.views) {
+            // Keep this page's own path, which may be a clean URL
+            const { search, hash } = new URL(target.url, window.location.href)
+            history[replace ? "replaceState" : "pushState"](null, "", `${window.location.pathname}${search}${hash}`)
+            _notify()
+            return
+        }
+        navigateWithFade(target.url)
+    }
+
+    // Re-run this page's guard, e.g. after a sign-out in another tab or an
+    // expired session. Returns whether the user may stay.
+    async function recheck() {
+        if (!current) return true
+        const redirect = await _redirectFor(current, _here())
+        if (redirect) await navigate(redirect, { replace: true })
+        return !redirect
+    }
+
+    // After signing in: back to the page that asked for it, or the dashboard
+    function afterLogin() {
+        return navigate(returnTo() || HOME, { replace: true })
+    }
+
+    // fn(params) runs when the view changes without a reload (links, back/forward)
+    function onChange(fn) {
+        listeners.add(fn)
+        return () => listeners.delete(fn)
+    }
+
+    // Links from before the router kept views in the hash (dashboard.html#explore?q=x)
+    function _upgradeHashLink() {
+        const [view, query = ""] = window.location.hash.slice(1).split("?")
+        if (!current.views?.includes(view)) return
+        const params = new URLSearchParams(window.location.search)
+        params.set("view", view)
+        new URLSearchParams(query).forEach((value, key) => params.set(key, value))
+        history.replaceState(null, "", `${window.location.pathname}?${params}`)
+    }
+
+    // Boot: find this page's route, apply its guard, then start the page
+    async function start() {
+        current = ROUTES.find((r) => r.page === document.body.dataset.page) || null
+        if (!current) return
+        _upgradeHashLink()
+        if (!(await recheck())) return
+        window.addEventListener("popstate", _notify)
+        await current.init()
+    }
+
+    return { ROUTES, match, navigate, recheck, returnTo, afterLogin, onChange, start }
+})()
+
+// Enhance links that opt-in to transitions; they go through the router.
+// Between guest pages a pending returnTo comes along.
+function setupLinkTransitions() {
+    document.querySelectorAll("a[data-transition]").forEach((a) => {
+        a.addEventListener("click", (e) => {
+            let url = a.getAttribute("href")
+            if (!url || url.startsWith("#") || url.startsWith("javascript:")) return
+            // Leave new-tab and new-window clicks to the browser
+            if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+            e.preventDefault()
+            const back = Router.returnTo()
+            if (back && Router.match(url)?.route.guestOnly) {
+                url += `${url.includes("?") ? "&" : "?"}returnTo=${encodeURIComponent(back)}`
+            }
+            Router.navigate(url)
+        })
+    })
+}
+
+// Guest pages: once another tab signs in, this one moves on too
+function followLoginsFromOtherTabs() {
+    SyncBus.subscribe(({ type }) => {
+        if (type === "session:login") Router.afterLogin()
+    })
+}
+
+// -----------------------------
+// Page Initializers
+// -----------------------------
+async function initLoginPage() {
+    followLoginsFromOtherTabs()
+
+    const form = el("login-form")
+    form?.addEventListener("submit", async (e) => {
+        e.preventDefault()
+        clearMessage("login-message")
+
+        const data = new FormData(form)
+        const username = data.get("username")
+        const password = data.get("password")
+        const remember = data.get("remember") === "on"
+
+        const res = await withBusyForm(form, () => AuthService.login({ username, password, remember }))
+        if (!res.ok) {
+            if (res.retryAfterMs) showRetryCountdown("login-message", res)
+            else showMessage("login-message", "error", res.error)
+            return
+        }
+        if (res.mfaRequired) {
+            challenge = res.challenge
+            form.reset()
+            form.classList.add("hidden")
+            mfaForm?.classList.remove("hidden")
+            el("login-code")?.focus()
+            return
+        }
+        Router.afterLogin()
+    })
+
+    // Second step for accounts with two-factor authentication
+    const mfaForm = el("login-2fa-form")
+    let challenge = null
+
+    function backToPassword() {
+        challenge = null
+        mfaForm?.reset()
+        mfaForm?.classList.add("hidden")
+        form?.classList.remove("hidden")
+    }
+
+    mfaForm?.addEventListener("submit", async (e) => {
+        e.preventDefault()
+        clearMessage("login-message")
+
+        const code = new FormData(mfaForm).get("code")
+        const res = await withBusyForm(mfaForm, () => AuthService.completeTwoFactorLogin({ challenge, code }))
+        if (!res.ok) {
+            if (res.expired || res.locked) backToPassword()
+            if (res.retryAfterMs) showRetryCountdown("login-message", res)
+            else showMessage("login-message", "error", res.error)
+            return
+        }
+        Router.afterLogin()
+    })
+
+    el("login-2fa-cancel")?.addEventListener("click", () => {
+        clearMessage("login-message")
+        backToPassword()
+    })
+}
+
+async function initSignupPage() {
+    followLoginsFromOtherTabs()
+
+    const form = el("signup-form")
+    attachPasswordMeter(el("signup-password"), "signup", () => ({
+        username: el("signup-username")?.value.trim(),
+        email: el("signup-email")?.value.trim(),
+    }))
+    form?.addEventListener("submit", async (e) => {
+        e.preventDefault()
+        clearMessage("signup-message")
+
+        const data = new FormData(form)
+        const username = data.get("username")
+        const email = data.get("email")
+        const dob = data.get("dob")
+        const password = data.get("password")
+        const confirm = data.get("confirm")
+
+        if (String(password) !== String(confirm)) {
+            showMessage("signup-message", "error", "Passwords do not match.")
+            return
+        }
+
+        const res = await withBusyForm(form, () => AuthService.register({ username, email, dob, password }))
+        if (!res.ok) {
+            showMessage("signup-message", "error", res.error)
+            return
+        }
+
+        Router.afterLogin()
+    })
+}
+
+async function initForgotPage() {
+    const token = new URLSearchParams(window.location.search).get("token")
+    const requestForm = el("forgot-request-form")
+    const resetForm = el("forgot-form")
+
+    if (!token) {
+        requestForm?.classList.remove("hidden")
+        resetForm?.classList.add("hidden")
+    } else {
+        requestForm?.classList.add("hidden")
+        resetForm?.classList.remove("hidden")
+        const info = await AuthService.checkResetToken(token)
+        if (!info.ok) {
+            showMessage("forgot-message", "error", "This reset link is invalid or has expired. Request a new one.")
+            resetForm?.classList.add("hidden")
+            requestForm?.classList.remove("hidden")
+        } else {
+            attachPasswordMeter(el("forgot-password"), "forgot", () => info)
+        }
+    }
+
+    requestForm?.addEventListener("submit", async (e) => {
+        e.preventDefault()
+        clearMessage("forgot-message")
+
+        const data = new FormData(requestForm)
+        const username = data.get("username")
+
+        const res = await withBusyForm(requestForm, () => AuthService.requestPasswordReset({ username }))
+        if (!res.ok) {
+            showMessage("forgot-message", "error", res.error)
+            return
+        }
+        requestForm.reset()
+        showMessage(
+            "forgot-message",
+            "success",
+            "If that account exists, a reset link is on its way. The link expires shortly and works once.",
+        )
+    })
+
+    resetForm?.addEventListener("submit", async (e) => {
+        e.preventDefault()
+        clearMessage("forgot-message")
+
+        const data = new FormData(resetForm)
+        const password = data.get("password")
+        const confirm = data.get("confirm")
+
+        if (String(password) !== String(confirm)) {
+            showMessage("forgot-message", "error", "Passwords do not match.")
+            return
+        }
+
+        const res = await withBusyForm(resetForm, () => AuthService.resetPassword({ token, newPassword: password }))
+        if (!res.ok) {
+            showMessage("forgot-message", "error", res.error)
+            return
+        }
+        showMessage("forgot-message", "success", "Password updated. Redirecting to sign in...")
+        setTimeout(() => Router.navigate("index.html"), 800)
+    })
+}
+
+// Demo outbox panel: lists what would have been emailed to the signed-in
+// user's own address
+async function renderOutbox(to) {
+    const list = el("outbox-list")
+    if (!list || !to) return
+    const messages = await Outbox.list(to)
+    list.replaceChildren()
+    if (!messages.length) {
+        const empty = document.createElement("li")
+        empty.className = "muted"
+        empty.textContent = "No messages yet."
+        list.appendChild(empty)
+        return
+    }
+    messages.forEach((m) => {
+        const li = document.createElement("li")
+        li.className = "outbox-item"
+
+        const head = document.createElement("div")
+        head.className = "comment-head"
+        const subject = document.createElement("strong")
+        subject.textContent = m.subject
+        const meta = document.createElement("span")
+        meta.className = "muted"
+        meta.textContent = ` to ${m.to} • ${formatDateTime(m.createdAt)}`
+        head.appendChild(subject)
+        head.appendChild(meta)
+
+        const body = document.createElement("div")
+        body.textContent = m.body
+
+        li.appendChild(head)
+        li.appendChild(body)
+        if (m.link) {
+            const a = document.createElement("a")
+            a.className = "link"
+            a.href = m.link
+            a.textContent = "Open link"
+            li.appendChild(a)
+        }
+        list.appendChild(li)
+    })
+}
+
+function formatDateTime(iso) {
+    if (!iso) return "—"
+    const d = new Date(iso)
+    if (isNaN(d)) return "—"
+    return d.toLocaleString()
 }
 
-function navigateWithFade(url) {
-    const root = document.documentElement
-    const go = () => {
-        window.location.href = url
+// Tears down the previous dashboard's listeners and timers so it can be
+// initialised again in place (e.g. when another tab switches user)
+let dashboardController = null
+
+async function initDashboardPage() {
+    dashboardController?.abort()
+    const controller = new AbortController()
+    dashboardController = controller
+    const { signal } = controller
+    const on = (target, type, handler) => target?.addEventListener(type, handler, { signal })
+
+    let user = await AuthService.getCurrentUser()
+    if (!user) return Router.recheck()
+
+    function renderProfile() {
+        el("profile-username").textContent = user.username
+        el("profile-email").textContent = user.email
+        el("profile-dob").textContent = user.dob
+        const created = new Date(user.createdAt)
+        el("profile-created").textContent = isNaN(created) ? "—" : created.toLocaleDateString()
     }
 
-    // Respect reduced motion
-    const prefersReduced =
-        typeof window.matchMedia === "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches
-    if (prefersReduced) {
-        go()
-        return
+    el("nav-admin")?.classList.toggle("hidden", !AuthService.hasRole(user, "moderator"))
+
+    if (user) {
+        renderProfile()
+        const created = new Date(user.createdAt)
+
+        const memberSince = isNaN(created) ? "—" : created.toLocaleDateString()
+        const signins = user.signInCount
+        const lastLogin = formatDateTime(user.lastLoginAt)
+
+        const statMember = el("stat-member-since")
+        const statSignins = el("stat-signins")
+        const statLastLogin = el("stat-last-login")
+
+        if (statMember) statMember.textContent = memberSince
+        if (statSignins) statSignins.textContent = String(signins)
+        if (statLastLogin) statLastLogin.textContent = lastLogin
     }
 
-    let navigated = false
-    const done = () => {
-        if (navigated) return
-        navigated = true
-        go()
+    // Recent activity, from the audit log: tag filter chips + pages
+    const activityList = el("activity-list")
+    const activityFilters = el("activity-filters")
+    const activityState = { tag: null, page: 1 }
+
+    function renderActivityFilters() {
+        if (!activityFilters) return
+        activityFilters.replaceChildren()
+        ;[null, ...AuditLog.TAGS].forEach((tag) => {
+            const chip = document.createElement("button")
+            chip.type = "button"
+            chip.className = "btn btn-ghost btn-xs" + (activityState.tag === tag ? " is-active" : "")
+            chip.dataset.tag = tag || ""
+            chip.setAttribute("aria-pressed", activityState.tag === tag ? "true" : "false")
+            chip.textContent = tag || "All"
+            activityFilters.appendChild(chip)
+        })
     }
 
-    // Apply fade-out class and attempt to listen for animation end
-    root.classList.add("fade-out")
+    async function renderActivity() {
+        if (!activityList) return
+        const { items, page, pages, total } = await AuditLog.list(user.username, activityState)
+        activityState.page = page
+        activityList.replaceChildren()
+        if (!items.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "Nothing here yet."
+            activityList.appendChild(empty)
+        }
+        items.forEach((a) => {
+            const li = document.createElement("li")
+            li.title = a.userAgent || ""
+            const left = document.createElement("div")
+            const right = document.createElement("span")
+            right.className = "badge"
+            right.textContent = a.tag
 
-    // If no animation is applied, fall back quickly
-    const style = window.getComputedStyle(root)
-    const animName = (style.animationName || style.getPropertyValue("animation-name") || "").toString()
+            const title = document.createElement("div")
+            title.textContent = a.label
+            const sub = document.createElement("div")
+            sub.className = "muted"
+            sub.textContent = formatDateTime(a.at)
 
-    if (!animName || animName === "none") {
-        // No animation active; navigate immediately on next tick
-        setTimeout(done, 10)
-        return
-    }
+            left.appendChild(title)
+            left.appendChild(sub)
 
-    // Safety timeout in case animationend never fires
-    const safety = setTimeout(done, 600)
-    root.addEventListener(
-        "animationend",
-        () => {
-            clearTimeout(safety)
-            done()
-        },
-        { once: true },
-    )
-}
+            li.appendChild(left)
+            li.appendChild(right)
 
-// Enhance links that opt-in to transitions
-function setupLinkTransitions() {
-    document.querySelectorAll("a[data-transition]").forEach((a) => {
-        a.addEventListener("click", (e) => {
-            const url = a.getAttribute("href")
-            if (!url || url.startsWith("#") || url.startsWith("javascript:")) return
-            e.preventDefault()
-            navigateWithFade(url)
+            activityList.appendChild(li)
         })
+        const pageLabel = el("activity-page")
+        if (pageLabel) pageLabel.textContent = total ? `Page ${page} of ${pages}` : ""
+        const prev = el("activity-prev")
+        const next = el("activity-next")
+        if (prev) prev.disabled = page <= 1
+        if (next) next.disabled = page >= pages
+    }
+
+    on(activityFilters, "click", (e) => {
+        const chip = e.target.closest("button[data-tag]")
+        if (!chip) return
+        activityState.tag = chip.dataset.tag || null
+        activityState.page = 1
+        renderActivityFilters()
+        renderActivity()
     })
-}
+    on(el("activity-prev"), "click", () => {
+        activityState.page -= 1
+        renderActivity()
+    })
+    on(el("activity-next"), "click", () => {
+        activityState.page += 1
+        renderActivity()
+    })
+    on(el("activity-export"), "click", async () => {
+        downloadFile(`activity-${user.username}.json`, await AuditLog.exportFor(user.username))
+    })
+    const unsubscribeAudit = AuditLog.subscribe(() => renderActivity())
+    signal.addEventListener("abort", unsubscribeAudit)
 
-// -----------------------------
-// Page Initializers
-// -----------------------------
-function initLoginPage() {
-    if (AuthService.redirectIfAuthenticated()) return
+    // Email verification banner
+    const banner = el("verify-banner")
+    const verifyForm = el("verify-form")
 
-    const form = el("login-form")
-    form?.addEventListener("submit", (e) => {
+    function renderVerifyBanner() {
+        const verified = AuthService.isEmailVerified(user)
+        banner?.classList.toggle("hidden", verified)
+        if (!verified) {
+            const target = el("verify-email")
+            if (target) target.textContent = user.email
+            renderOutbox(user.email)
+        }
+        // Reflect what unverified accounts may do
+        const canPost = AuthService.can(user, "post")
+        composer?.querySelectorAll("textarea, button").forEach((c) => (c.disabled = !canPost))
+        if (textarea) textarea.placeholder = canPost ? "What's happening?" : "Verify your email to start posting."
+    }
+
+    async function submitVerification(code) {
+        const res = await AuthService.verifyEmail({ code })
+        if (!res.ok) {
+            showMessage("verify-message", "error", res.error)
+            return
+        }
+        user = res.user
+        clearMessage("verify-message")
+        showMessage("dashboard-message", "success", "Thanks! Your email is verified.")
+        renderVerifyBanner()
+    }
+
+    on(verifyForm, "submit", async (e) => {
         e.preventDefault()
-        clearMessage("login-message")
+        const code = new FormData(verifyForm).get("code")
+        await withBusyForm(verifyForm, () => submitVerification(code))
+    })
 
-        const data = new FormData(form)
-        const username = data.get("username")
-        const password = data.get("password")
+    on(el("verify-resend"), "click", async () => {
+        const res = await AuthService.resendVerification()
+        if (!res.ok) {
+            if (res.retryAfterMs) showRetryCountdown("verify-message", res)
+            else showMessage("verify-message", "error", res.error)
+            return
+        }
+        showMessage("verify-message", "success", `We sent a new code to ${user.email}.`)
+        renderOutbox(user.email)
+    })
+
+    // Two-factor authentication panel
+    const tfStatus = el("twofactor-status")
+    const tfSetup = el("twofactor-setup")
+    const tfManage = el("twofactor-manage")
+    const tfCodes = el("twofactor-backup-codes")
+    // Start closed (matters when the dashboard is re-initialised)
+    tfSetup?.classList.add("hidden")
+    el("twofactor-codes-panel")?.classList.add("hidden")
 
-        const res = AuthService.login({ username, password })
+    function renderTwoFactor() {
+        if (!tfStatus) return
+        tfStatus.textContent = user.twoFactorEnabled
+            ? `On • ${user.backupCodesLeft} backup code${user.backupCodesLeft === 1 ? "" : "s"} left`
+            : "Off"
+        el("twofactor-enable")?.classList.toggle("hidden", user.twoFactorEnabled)
+        tfManage?.classList.toggle("hidden", !user.twoFactorEnabled)
+    }
+
+    function showBackupCodes(codes) {
+        if (!tfCodes) return
+        tfCodes.replaceChildren()
+        codes.forEach((c) => {
+            const li = document.createElement("li")
+            li.textContent = c
+            tfCodes.appendChild(li)
+        })
+        el("twofactor-codes-panel")?.classList.remove("hidden")
+    }
+
+    async function refreshUser() {
+        user = (await AuthService.getCurrentUser()) || user
+        renderTwoFactor()
+    }
+
+    on(el("twofactor-enable"), "click", async () => {
+        clearMessage("twofactor-message")
+        const res = await AuthService.beginTwoFactorSetup()
         if (!res.ok) {
-            showMessage("login-message", "error", res.error)
+            showMessage("twofactor-message", "error", res.error)
             return
         }
-        navigateWithFade("dashboard.html")
+        el("twofactor-secret").textContent = res.secret.replace(/(.{4})/g, "$1 ").trim()
+        const link = el("twofactor-uri")
+        if (link) link.href = res.uri
+        tfSetup?.classList.remove("hidden")
+        el("twofactor-enable")?.classList.add("hidden")
     })
-}
 
-function initSignupPage() {
-    if (AuthService.redirectIfAuthenticated()) return
+    on(tfSetup, "submit", async (e) => {
+        e.preventDefault()
+        const code = new FormData(tfSetup).get("code")
+        const res = await withBusyForm(tfSetup, () => AuthService.confirmTwoFactorSetup({ code }))
+        if (!res.ok) {
+            showMessage("twofactor-message", "error", res.error)
+            return
+        }
+        tfSetup.reset()
+        tfSetup.classList.add("hidden")
+        showMessage("twofactor-message", "success", "Two-factor authentication is on. Save your backup codes.")
+        showBackupCodes(res.backupCodes)
+        await refreshUser()
+    })
 
-    const form = el("signup-form")
-    form?.addEventListener("submit", (e) => {
+    on(tfManage, "submit", async (e) => {
         e.preventDefault()
-        clearMessage("signup-message")
+        const action = e.submitter?.value
+        const data = new FormData(tfManage)
+        const input = { password: data.get("password"), code: data.get("code") }
+        const res = await withBusyForm(tfManage, () =>
+            action === "disable" ? AuthService.disableTwoFactor(input) : AuthService.regenerateBackupCodes(input),
+        )
+        if (!res.ok) {
+            showMessage("twofactor-message", "error", res.error)
+            return
+        }
+        tfManage.reset()
+        if (action === "disable") {
+            el("twofactor-codes-panel")?.classList.add("hidden")
+            showMessage("twofactor-message", "success", "Two-factor authentication is off.")
+        } else {
+            showMessage("twofactor-message", "success", "New backup codes generated. The old ones no longer work.")
+            showBackupCodes(res.backupCodes)
+        }
+        await refreshUser()
+    })
 
-        const data = new FormData(form)
-        const username = data.get("username")
-        const email = data.get("email")
-        const dob = data.get("dob")
-        const password = data.get("password")
-        const confirm = data.get("confirm")
+    // Sub-views behind the side nav (?view=settings etc.); Home shows the feed
+    const views = [...document.querySelectorAll(".dash-view")]
+    const navLinks = [...document.querySelectorAll(".side-link[data-view]")]
 
-        if (String(password) !== String(confirm)) {
-            showMessage("signup-message", "error", "Passwords do not match.")
+    let activeView = "home"
+    // A block can belong to several views, e.g. data-view="home explore"
+    const viewNames = (v) => v.dataset.view.split(" ")
+
+    // params is the page's query string: ?view=<name>, plus Explore's filters
+    function showView(params) {
+        const name = params.get("view") || "home"
+        const target = views.some((v) => viewNames(v).includes(name)) ? name : "home"
+        const changed = target !== activeView
+        activeView = target
+        views.forEach((v) => {
+            const shown = viewNames(v).includes(target)
+            v.classList.toggle("hidden", !shown)
+            // Restart the fade-in on the views being switched to
+            v.classList.remove("view-enter")
+            if (shown && changed) {
+                void v.offsetWidth
+                v.classList.add("view-enter")
+            }
+        })
+        navLinks.forEach((a) => {
+            const active = a.dataset.view === target
+            a.classList.toggle("is-active", active)
+            if (active) a.setAttribute("aria-current", "page")
+            else a.removeAttribute("aria-current")
+        })
+        clearMessage("dashboard-message")
+        if (target === "messages") renderMessages()
+        if (target === "bookmarks") renderBookmarks()
+        if (target === "explore") showExplore(params)
+        if (target === "home") setFeedFilter({})
+    }
+
+    // Side nav links, back/forward and in-app links all land here
+    signal.addEventListener("abort", Router.onChange(showView))
+
+    // Notifications: list, unread badge on the side nav, per-type preferences
+    const notificationList = el("notifications-list")
+    const notificationPrefs = el("notification-prefs")
+
+    function describeNotification(n) {
+        const where = n.commentId ? "comment" : "post"
+        switch (n.type) {
+            case "reaction":
+                return `@${n.actor} reacted ${n.emoji} to your ${where}`
+            case "comment":
+                return `@${n.actor} commented on your post`
+            case "reply":
+                return `@${n.actor} replied to your comment`
+            case "mention":
+                return `@${n.actor} mentioned you in a ${where}`
+            case "follow":
+                return `@${n.actor} started following you`
+            default:
+                return `@${n.actor}`
+        }
+    }
+
+    async function renderUnreadCount() {
+        const badge = el("nav-unread")
+        if (!badge) return
+        const count = await NotificationService.unreadCount(user.username)
+        badge.textContent = count > 99 ? "99+" : String(count)
+        badge.setAttribute("aria-label", `${count} unread notifications`)
+        badge.classList.toggle("hidden", count === 0)
+    }
+
+    async function renderNotifications() {
+        await renderUnreadCount()
+        if (!notificationList) return
+        const items = await NotificationService.list(user.username)
+        notificationList.replaceChildren()
+        el("notifications-read-all").disabled = !items.some((n) => !n.read)
+        if (!items.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "You're all caught up."
+            notificationList.appendChild(empty)
+        }
+        items.forEach((n) => {
+            const li = document.createElement("li")
+            li.classList.toggle("is-unread", !n.read)
+            const left = document.createElement("div")
+
+            const title = document.createElement("div")
+            title.textContent = describeNotification(n)
+            left.appendChild(title)
+            if (n.excerpt) {
+                const excerpt = document.createElement("div")
+                excerpt.className = "notification-excerpt muted"
+                excerpt.textContent = `“${n.excerpt}”`
+                left.appendChild(excerpt)
+            }
+            const sub = document.createElement("div")
+            sub.className = "muted"
+            sub.textContent = formatDateTime(n.at)
+            left.appendChild(sub)
+            li.appendChild(left)
+
+            if (!n.read) {
+                const read = document.createElement("button")
+                read.type = "button"
+                read.className = "btn btn-ghost btn-xs"
+                read.dataset.id = n.id
+                read.textContent = "Mark read"
+                li.appendChild(read)
+            }
+            notificationList.appendChild(li)
+        })
+    }
+
+    async function renderNotificationPrefs() {
+        if (!notificationPrefs) return
+        const prefs = await NotificationService.getPrefs(user.username)
+        notificationPrefs.replaceChildren()
+        Object.entries(NotificationService.TYPES).forEach(([type, label]) => {
+            const row = document.createElement("label")
+            row.className = "checkbox"
+            const box = document.createElement("input")
+            box.type = "checkbox"
+            box.name = type
+            box.checked = prefs[type]
+            row.appendChild(box)
+            row.appendChild(document.createTextNode(` ${label}`))
+            notificationPrefs.appendChild(row)
+        })
+    }
+
+    on(notificationList, "click", async (e) => {
+        const btn = e.target.closest("button[data-id]")
+        if (!btn) return
+        await NotificationService.markRead(user.username, [btn.dataset.id])
+        await renderNotifications()
+    })
+    on(el("notifications-read-all"), "click", async () => {
+        await NotificationService.markRead(user.username)
+        await renderNotifications()
+    })
+    on(notificationPrefs, "change", async () => {
+        const prefs = Object.fromEntries([...notificationPrefs.elements].map((box) => [box.name, box.checked]))
+        await NotificationService.setPrefs(user.username, prefs)
+        showMessage("notification-prefs-message", "success", "Notification preferences saved.")
+    })
+
+    // Messages: conversation list, the open thread and its composer
+    const conversationList = el("conversation-list")
+    const threadMessages = el("thread-messages")
+    const messageForm = el("message-form")
+    let openConversation = null
+
+    async function renderMessagesUnread() {
+        const badge = el("nav-messages-unread")
+        if (!badge) return
+        const count = await MessageService.unreadCount(user.username)
+        badge.textContent = count > 99 ? "99+" : String(count)
+        badge.setAttribute("aria-label", `${count} unread messages`)
+        badge.classList.toggle("hidden", count === 0)
+    }
+
+    async function renderConversations() {
+        if (!conversationList) return
+        const items = await MessageService.conversations(user.username)
+        conversationList.replaceChildren()
+        if (!items.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "No conversations yet."
+            conversationList.appendChild(empty)
+        }
+        items.forEach((c) => {
+            const li = document.createElement("li")
+            const btn = document.createElement("button")
+            btn.type = "button"
+            btn.className = "conversation"
+            btn.classList.toggle("is-active", c.with === openConversation)
+            btn.dataset.with = c.with
+
+            const head = document.createElement("span")
+            head.className = "conversation-head"
+            const name = document.createElement("strong")
+            name.textContent = `@${c.with}`
+            head.appendChild(name)
+            if (c.unread) {
+                const badge = document.createElement("span")
+                badge.className = "badge badge-brand"
+                badge.textContent = String(c.unread)
+                badge.setAttribute("aria-label", `${c.unread} unread`)
+                head.appendChild(badge)
+            } else if (c.closed || c.blocked) {
+                const badge = document.createElement("span")
+                badge.className = c.closed ? "badge" : "badge badge-danger"
+                badge.textContent = c.closed ? "Account deleted" : "Blocked"
+                head.appendChild(badge)
+            }
+
+            const preview = document.createElement("span")
+            preview.className = "conversation-preview muted"
+            preview.textContent = `${c.last.from === user.username ? "You: " : ""}${c.last.text}`
+            const when = document.createElement("span")
+            when.className = "muted conversation-preview"
+            when.textContent = formatDateTime(c.last.at)
+
+            btn.appendChild(head)
+            btn.appendChild(preview)
+            btn.appendChild(when)
+            li.appendChild(btn)
+            conversationList.appendChild(li)
+        })
+    }
+
+    async function renderConversation() {
+        const panel = el("message-thread")
+        if (!panel) return
+        panel.classList.toggle("hidden", !openConversation)
+        if (!openConversation) return
+        // Reading the thread while it's on screen clears its unread count
+        if (activeView === "messages") await MessageService.markRead(user.username, openConversation)
+        const [messages, iBlocked, theyBlocked, departed] = await Promise.all([
+            MessageService.thread(user.username, openConversation),
+            MessageService.isBlocked(user.username, openConversation),
+            MessageService.isBlocked(openConversation, user.username),
+            MessageService.isClosed(user.username, openConversation),
+        ])
+        el("thread-with").textContent = `@${openConversation}`
+        el("thread-block").textContent = iBlocked ? "Unblock" : "Block"
+        el("thread-block").classList.toggle("hidden", departed)
+
+        threadMessages.replaceChildren()
+        if (!messages.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "Say hello."
+            threadMessages.appendChild(empty)
+        }
+        messages.forEach((m) => {
+            const li = document.createElement("li")
+            li.classList.toggle("is-mine", m.from === user.username)
+            const text = document.createElement("div")
+            text.textContent = m.text
+            const time = document.createElement("time")
+            time.className = "muted"
+            time.dateTime = m.at
+            time.textContent = formatDateTime(m.at)
+            li.appendChild(text)
+            li.appendChild(time)
+            threadMessages.appendChild(li)
+        })
+        threadMessages.scrollTop = threadMessages.scrollHeight
+
+        const notice = el("thread-blocked")
+        const closed = departed || iBlocked || theyBlocked
+        if (departed) notice.textContent = `@${openConversation} deleted their account. This conversation is read-only.`
+        else if (iBlocked) notice.textContent = `You blocked @${openConversation}. Unblock them to send messages.`
+        else notice.textContent = `@${openConversation} isn't accepting your messages.`
+        notice.classList.toggle("hidden", !closed)
+        messageForm.classList.toggle("hidden", closed)
+    }
+
+    async function renderMessages() {
+        const people = el("message-people")
+        if (people) {
+            const others = (await AuthService.usernames()).filter((name) => name !== user.username)
+            people.replaceChildren()
+            others.forEach((name) => people.appendChild(new Option(`@${name}`)))
+        }
+        await renderConversation()
+        await renderConversations()
+        await renderMessagesUnread()
+    }
+
+    async function openThread(username) {
+        openConversation = username
+        clearMessage("messages-message")
+        await renderMessages()
+        el("message-text")?.focus()
+    }
+
+    on(el("message-new"), "submit", async (e) => {
+        e.preventDefault()
+        const input = el("message-to")
+        const to = input.value.trim().replace(/^@/, "").toLowerCase()
+        if (!to) return
+        if (to === user.username) return showMessage("messages-message", "error", "You can't message yourself.")
+        if (!(await AuthService.usernames()).includes(to)) {
+            return showMessage("messages-message", "error", "No such user.")
+        }
+        input.value = ""
+        await openThread(to)
+    })
+    on(conversationList, "click", (e) => {
+        const btn = e.target.closest("button[data-with]")
+        if (btn) openThread(btn.dataset.with)
+    })
+    on(messageForm, "submit", async (e) => {
+        e.preventDefault()
+        const input = el("message-text")
+        const res = await MessageService.send(user.username, openConversation, input.value)
+        if (!res.ok) return showMessage("messages-message", "error", res.error)
+        clearMessage("messages-message")
+        input.value = ""
+        await renderMessages()
+    })
+    // Enter sends, Shift+Enter adds a line
+    on(el("message-text"), "keydown", (e) => {
+        if (e.key !== "Enter" || e.shiftKey || e.isComposing) return
+        e.preventDefault()
+        messageForm.requestSubmit()
+    })
+    on(el("thread-block"), "click", async () => {
+        const other = openConversation
+        const block = !(await MessageService.isBlocked(user.username, other))
+        if (block && !confirm(`Block @${other}? They won't be able to message you.`)) return
+        const res = await MessageService.setBlocked(user.username, other, block)
+        if (!res.ok) return showMessage("messages-message", "error", res.error)
+        showMessage("messages-message", "success", block ? `@${other} is blocked.` : `@${other} is unblocked.`)
+        await renderMessages()
+    })
+
+    // Bookmarks: saved posts, filtered by collection
+    const bookmarkList = el("bookmark-list")
+    const bookmarkCollections = el("bookmark-collections")
+    // undefined shows every bookmark, null the unsorted ones, or a collection name
+    let bookmarkScope
+
+    // The Save toggles in the feed follow the stored bookmarks
+    async function syncBookmarks() {
+        bookmarked = await BookmarkService.ids(user.username)
+        feed?.querySelectorAll('[data-action="bookmark"]').forEach((btn) => {
+            const saved = bookmarked.has(btn.dataset.id)
+            btn.classList.toggle("is-active", saved)
+            btn.setAttribute("aria-pressed", saved ? "true" : "false")
+            btn.textContent = saved ? "Saved" : "Save"
+        })
+        if (activeView === "bookmarks") await renderBookmarks()
+    }
+
+    function renderBookmarkCollections(names) {
+        if (!bookmarkCollections) return
+        if (typeof bookmarkScope === "string" && !names.includes(bookmarkScope)) bookmarkScope = undefined
+        bookmarkCollections.replaceChildren()
+        const chips = [
+            { label: "All", scope: "all", active: bookmarkScope === undefined },
+            { label: "Unsorted", scope: "unsorted", active: bookmarkScope === null },
+            ...names.map((name) => ({ label: name, collection: name, active: bookmarkScope === name })),
+        ]
+        chips.forEach((c) => {
+            const chip = document.createElement("button")
+            chip.type = "button"
+            chip.className = "btn btn-ghost btn-xs" + (c.active ? " is-active" : "")
+            if (c.scope) chip.dataset.scope = c.scope
+            else chip.dataset.collection = c.collection
+            chip.setAttribute("aria-pressed", c.active ? "true" : "false")
+            chip.textContent = c.label
+            bookmarkCollections.appendChild(chip)
+        })
+        el("bookmark-collection-delete")?.classList.toggle("hidden", typeof bookmarkScope !== "string")
+    }
+
+    async function renderBookmarks() {
+        if (!bookmarkList) return
+        const names = await BookmarkService.collections(user.username)
+        renderBookmarkCollections(names)
+        const items = await BookmarkService.list(user.username, { collection: bookmarkScope })
+        bookmarkList.replaceChildren()
+        if (!items.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = bookmarkScope === undefined ? "Save posts to find them here later." : "Nothing here."
+            bookmarkList.appendChild(empty)
+        }
+        items.forEach((b) => {
+            const li = document.createElement("li")
+            li.className = "bookmark" + (b.post ? "" : " is-deleted")
+            li.dataset.id = b.postId
+
+            const head = document.createElement("div")
+            head.className = "post-header"
+            const author = document.createElement("span")
+            author.className = "post-author"
+            author.textContent = b.snapshot.author
+            const meta = document.createElement("span")
+            meta.className = "post-meta"
+            meta.textContent = formatDateTime(b.snapshot.createdAt)
+            head.appendChild(author)
+            head.appendChild(meta)
+
+            // A deleted post keeps only what was saved with the bookmark
+            const body = document.createElement("div")
+            body.className = "post-body"
+            if (b.post) {
+                body.appendChild(RichText.render(b.post.text, richOptions))
+            } else {
+                const gone = document.createElement("p")
+                gone.className = "muted"
+                gone.textContent = "This post has been deleted. You saved:"
+                const quote = document.createElement("blockquote")
+                quote.className = "muted"
+                quote.textContent = b.snapshot.text
+                body.appendChild(gone)
+                body.appendChild(quote)
+            }
+
+            const tools = document.createElement("div")
+            tools.className = "bookmark-tools"
+            const when = document.createElement("span")
+            when.className = "muted"
+            when.textContent = `Saved ${formatDateTime(b.savedAt)}`
+            tools.appendChild(when)
+            if (names.length) {
+                const move = document.createElement("select")
+                move.className = "bookmark-move"
+                move.dataset.id = b.postId
+                move.setAttribute("aria-label", "Collection")
+                move.appendChild(new Option("Unsorted", "", false, b.collection === null))
+                names.forEach((name) => move.appendChild(new Option(name, name, false, b.collection === name)))
+                tools.appendChild(move)
+            }
+            const remove = document.createElement("button")
+            remove.type = "button"
+            remove.className = "btn btn-ghost btn-xs btn-danger"
+            remove.dataset.action = "unbookmark"
+            remove.dataset.id = b.postId
+            remove.textContent = "Remove"
+            tools.appendChild(remove)
+
+            li.appendChild(head)
+            li.appendChild(body)
+            li.appendChild(tools)
+            bookmarkList.appendChild(li)
+        })
+    }
+
+    on(bookmarkCollections, "click", (e) => {
+        const chip = e.target.closest("button")
+        if (!chip) return
+        if (chip.dataset.scope) bookmarkScope = chip.dataset.scope === "unsorted" ? null : undefined
+        else bookmarkScope = chip.dataset.collection
+        renderBookmarks()
+    })
+    on(el("bookmark-collection-form"), "submit", async (e) => {
+        e.preventDefault()
+        const input = el("bookmark-collection-name")
+        const res = await BookmarkService.addCollection(user.username, input.value)
+        if (!res.ok) return showMessage("bookmarks-message", "error", res.error)
+        clearMessage("bookmarks-message")
+        input.value = ""
+        bookmarkScope = res.name
+        await renderBookmarks()
+    })
+    on(el("bookmark-collection-delete"), "click", async () => {
+        const name = bookmarkScope
+        if (typeof name !== "string") return
+        if (!confirm(`Delete the collection "${name}"? Its posts stay bookmarked.`)) return
+        const res = await BookmarkService.removeCollection(user.username, name)
+        if (!res.ok) return showMessage("bookmarks-message", "error", res.error)
+        bookmarkScope = undefined
+        await renderBookmarks()
+    })
+    on(bookmarkList, "change", async (e) => {
+        const move = e.target.closest("select.bookmark-move")
+        if (!move) return
+        const res = await BookmarkService.move(user.username, move.dataset.id, move.value || null)
+        if (!res.ok) showMessage("bookmarks-message", "error", res.error)
+        await renderBookmarks()
+    })
+    on(bookmarkList, "click", async (e) => {
+        const btn = e.target.closest('[data-action="unbookmark"]')
+        if (btn) {
+            const res = await BookmarkService.toggle(user.username, btn.dataset.id)
+            if (!res.ok) return showMessage("bookmarks-message", "error", res.error)
+            await syncBookmarks()
             return
         }
+        // Mentions and hashtags in saved posts open Explore like they do in the feed
+        const rich = e.target.closest('[data-action="filter-tag"], [data-action="filter-mention"]')
+        if (!rich) return
+        const filter = rich.dataset.tag ? { tag: rich.dataset.tag } : { mention: rich.dataset.username }
+        Router.navigate(exploreUrl(filter))
+    })
 
-        const res = AuthService.register({ username, email, dob, password })
+    // Settings: email, password, delete account
+    const emailForm = el("settings-email-form")
+    const passwordForm = el("settings-password-form")
+    const deleteForm = el("settings-delete-form")
+    attachPasswordMeter(el("settings-new-password"), "settings", () => user, { signal })
+
+    on(emailForm, "submit", async (e) => {
+        e.preventDefault()
+        clearMessage("settings-email-message")
+        const data = new FormData(emailForm)
+        const res = await withBusyForm(emailForm, () =>
+            AuthService.changeEmail({ email: data.get("email"), password: data.get("password") }),
+        )
         if (!res.ok) {
-            showMessage("signup-message", "error", res.error)
+            if (res.retryAfterMs) showRetryCountdown("settings-email-message", res)
+            else showMessage("settings-email-message", "error", res.error)
+            return
+        }
+        user = res.user
+        emailForm.reset()
+        showMessage("settings-email-message", "success", `Email changed. We sent a code to ${user.email} to verify it.`)
+        renderProfile()
+        renderVerifyBanner()
+    })
+
+    on(passwordForm, "submit", async (e) => {
+        e.preventDefault()
+        clearMessage("settings-password-message")
+        const data = new FormData(passwordForm)
+        const newPassword = data.get("password")
+        if (String(newPassword) !== String(data.get("confirm"))) {
+            showMessage("settings-password-message", "error", "Passwords do not match.")
+            return
+        }
+        const res = await withBusyForm(passwordForm, () =>
+            AuthService.changePassword({ currentPassword: data.get("current"), newPassword }),
+        )
+        if (!res.ok) {
+            if (res.retryAfterMs) showRetryCountdown("settings-password-message", res)
+            else showMessage("settings-password-message", "error", res.error)
             return
         }
+        passwordForm.reset()
+        passwordForm.querySelector("input")?.dispatchEvent(new Event("input", { bubbles: true }))
+        showMessage("settings-password-message", "success", "Password changed. Other devices have been signed out.")
+    })
+
+    // Settings: export / import the account archive
+    on(el("settings-export"), "click", async () => {
+        clearMessage("settings-data-message")
+        const res = await AccountService.exportData()
+        if (!res.ok) return showMessage("settings-data-message", "error", res.error)
+        downloadFile(res.filename, res.json)
+    })
 
-        navigateWithFade("dashboard.html")
+    on(el("settings-import-file"), "change", async (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ""
+        if (!file) return
+        clearMessage("settings-data-message")
+        const res = await AccountService.importData(await file.text())
+        if (!res.ok) return showMessage("settings-data-message", "error", res.error)
+        const { posts, comments, reactions, follows, skipped, renamedFrom } = res.summary
+        const parts = [`${posts} posts`, `${comments} comments`, `${reactions} reactions`, `${follows} follows`]
+        let text = `Imported ${parts.join(", ")}.`
+        if (renamedFrom) text += ` Content by @${renamedFrom} is now yours.`
+        if (skipped) text += ` ${skipped} items referred to posts that aren't here and were skipped.`
+        showMessage("settings-data-message", "success", text)
+        await renderFeed()
+        await renderSuggestions()
     })
-}
 
-function initForgotPage() {
-    const form = el("forgot-form")
-    form?.addEventListener("submit", (e) => {
+    on(deleteForm, "submit", async (e) => {
         e.preventDefault()
-        clearMessage("forgot-message")
-
-        const data = new FormData(form)
-        const username = data.get("username")
-        const dob = data.get("dob")
-        const password = data.get("password")
-        const confirm = data.get("confirm")
-
-        if (String(password) !== String(confirm)) {
-            showMessage("forgot-message", "error", "Passwords do not match.")
+        clearMessage("settings-delete-message")
+        const data = new FormData(deleteForm)
+        const typed = String(data.get("confirm-username") || "").trim()
+        if (typed.toLowerCase() !== user.username) {
+            showMessage("settings-delete-message", "error", "Type your username to confirm.")
             return
         }
-
-        const res = AuthService.resetPassword({ username, dob, newPassword: password })
+        if (!confirm("Delete your account and everything you've posted? This can't be undone.")) return
+        const res = await withBusyForm(deleteForm, () =>
+            AccountService.deleteAccount({ password: data.get("password") }),
+        )
         if (!res.ok) {
-            showMessage("forgot-message", "error", res.error)
+            if (res.retryAfterMs) showRetryCountdown("settings-delete-message", res)
+            else showMessage("settings-delete-message", "error", res.error)
             return
         }
-        showMessage("forgot-message", "success", "Password updated. Redirecting to sign in...")
-        setTimeout(() => navigateWithFade("index.html"), 800)
+        Router.navigate("index.html")
     })
-}
-
-function formatDateTime(iso) {
-    if (!iso) return "—"
-    const d = new Date(iso)
-    if (isNaN(d)) return "—"
-    return d.toLocaleString()
-}
 
-function initDashboardPage() {
-    if (!AuthService.requireAuthOrRedirect()) return
-
-    const user = AuthService.getCurrentUser()
-    if (user) {
-        el("profile-username").textContent = user.username
-        el("profile-email").textContent = user.email
-        el("profile-dob").textContent = user.dob
-        const created = new Date(user.createdAt)
-        el("profile-created").textContent = isNaN(created) ? "—" : created.toLocaleDateString()
+    on(el("logout-btn"), "click", async () => {
+        await AuthService.logout()
+        Router.navigate("index.html")
+    })
 
-        const memberSince = isNaN(created) ? "—" : created.toLocaleDateString()
-        const signins = typeof user.signInCount === "number" ? user.signInCount : 1
-        const lastLogin = formatDateTime(user.lastLoginAt)
+    // Activity keeps the session alive; a periodic check enforces the idle
+    // timeout and absolute expiry while the dashboard stays open.
+    let lastTouch = Date.now()
+    const onActivity = () => {
+        if (Date.now() - lastTouch < AppConfig.session.touchIntervalMs) return
+        lastTouch = Date.now()
+        AuthService.touchSession()
+    }
+    ;["click", "keydown"].forEach((type) => document.addEventListener(type, onActivity, { passive: true, signal }))
+    const sessionTimer = setInterval(async () => {
+        if (!(await AuthService.checkSession())) Router.recheck()
+    }, AppConfig.session.touchIntervalMs)
+    signal.addEventListener("abort", () => clearInterval(sessionTimer))
 
-        const statMember = el("stat-member-since")
-        const statSignins = el("stat-signins")
-        const statLastLogin = el("stat-last-login")
+    await PostService.seed()
 
-        if (statMember) statMember.textContent = memberSince
-        if (statSignins) statSignins.textContent = String(signins)
-        if (statLastLogin) statLastLogin.textContent = lastLogin
+    const composer = el("composer-form")
+    const textarea = el("composer-text")
+    const counter = el("composer-count")
+    const feed = el("feed-list")
+    const suggestionsList = document.getElementById("suggestions-list")
 
-        const activities = [
-            { label: "Account created", date: user.createdAt, tag: "Account" },
-            { label: "Last login", date: user.lastLoginAt, tag: "Login" },
-        ]
-        if (user.lastPasswordResetAt) {
-            activities.push({ label: "Password reset", date: user.lastPasswordResetAt, tag: "Security" })
+    // Reaction chips with counts (the tooltip lists who reacted), then a
+    // picker with every choice. commentId targets a comment instead of the post.
+    function renderReactions(reactions, postId, commentId = "") {
+        const me = user?.username
+        const bar = document.createElement("div")
+        bar.className = "reactions"
+        const button = (emoji) => {
+            const b = document.createElement("button")
+            b.type = "button"
+            b.dataset.action = "react"
+            b.dataset.id = postId
+            b.dataset.commentId = commentId
+            b.dataset.emoji = emoji
+            return b
         }
 
-        // Sort newest first
-        activities.sort((a, b) => new Date(b.date) - new Date(a.date))
+        AppConfig.reactions.choices.forEach((emoji) => {
+            const names = reactions[emoji] || []
+            if (!names.length) return
+            const mineToo = names.includes(me)
+            const chip = button(emoji)
+            chip.className = "btn btn-ghost btn-xs reaction" + (mineToo ? " is-active" : "")
+            chip.setAttribute("aria-pressed", mineToo ? "true" : "false")
+            chip.title = `Reacted by ${names.join(", ")}`
+            chip.setAttribute("aria-label", `${emoji} ${names.length}: ${names.join(", ")}`)
+            const icon = document.createElement("span")
+            icon.textContent = emoji
+            const count = document.createElement("span")
+            count.className = "count"
+            count.textContent = String(names.length)
+            chip.appendChild(icon)
+            chip.appendChild(count)
+            bar.appendChild(chip)
+        })
 
-        const list = el("activity-list")
-        if (list) {
-            list.innerHTML = ""
-            activities.forEach((a) => {
-                const li = document.createElement("li")
-                const left = document.createElement("div")
-                const right = document.createElement("span")
-                right.className = "badge"
-                right.textContent = a.tag
+        const picker = document.createElement("details")
+        picker.className = "reaction-picker"
+        const summary = document.createElement("summary")
+        summary.className = "btn btn-ghost btn-xs"
+        summary.setAttribute("aria-label", "Add a reaction")
+        summary.textContent = "☺+"
+        const palette = document.createElement("div")
+        palette.className = "reaction-palette"
+        AppConfig.reactions.choices.forEach((emoji) => {
+            const choice = button(emoji)
+            choice.className = "btn btn-ghost btn-xs"
+            choice.setAttribute("aria-label", `React with ${emoji}`)
+            choice.textContent = emoji
+            palette.appendChild(choice)
+        })
+        picker.appendChild(summary)
+        picker.appendChild(palette)
+        bar.appendChild(picker)
+        return bar
+    }
 
-                const title = document.createElement("div")
-                title.textContent = a.label
-                const sub = document.createElement("div")
-                sub.className = "muted"
-                sub.textContent = formatDateTime(a.date)
+    // Comment threads: each comment lists its replies beneath it, down to
+    // AppConfig.comments.maxDepth. Threads the user collapsed stay collapsed.
+    const collapsedThreads = new Set()
 
-                left.appendChild(title)
-                left.appendChild(sub)
+    function renderThread(p, parentId, depth) {
+        const list = document.createElement("ul")
+        list.className = "list comments" + (depth ? " thread" : "")
+        p.comments
+            .filter((c) => c.parentId === parentId)
+            .forEach((c) => {
+                const ci = document.createElement("li")
+                ci.className = "comment-item"
+                ci.dataset.commentId = c.id
+                const content = h(
+                    "div",
+                    { className: "comment-content" },
+                    h(
+                        "div",
+                        { className: "comment-head" },
+                        h("strong", {}, c.author),
+                        " ",
+                        h("span", { className: "muted" }, formatDateTime(c.createdAt)),
+                    ),
+                    h("div", { className: "comment-text" }, RichText.render(c.text, richOptions)),
+                )
+                ci.append(h("div", { className: "avatar small" }, (c.author || "?").charAt(0).toUpperCase()), content)
 
-                li.appendChild(left)
-                li.appendChild(right)
+                const tools = document.createElement("div")
+                tools.className = "comment-tools"
+                tools.appendChild(renderReactions(c.reactions, p.id, c.id))
+                if (depth < AppConfig.comments.maxDepth) {
+                    const reply = document.createElement("button")
+                    reply.type = "button"
+                    reply.className = "btn btn-ghost btn-xs"
+                    reply.dataset.action = "reply"
+                    reply.dataset.id = p.id
+                    reply.dataset.commentId = c.id
+                    reply.textContent = "Reply"
+                    tools.appendChild(reply)
+                }
+                // Comment authors can delete, and so can the post's author
+                if (p.author === user?.username || c.author === user?.username) {
+                    const delComment = document.createElement("button")
+                    delComment.type = "button"
+                    delComment.className = "btn btn-ghost btn-xs btn-danger"
+                    delComment.dataset.action = "delete-comment"
+                    delComment.dataset.id = p.id
+                    delComment.dataset.commentId = c.id
+                    delComment.setAttribute("aria-label", `Delete comment by ${c.author}`)
+                    delComment.textContent = "Delete"
+                    tools.appendChild(delComment)
+                }
+                content.appendChild(tools)
 
-                list.appendChild(li)
+                const replies = renderThread(p, c.id, depth + 1)
+                if (replies.children.length) {
+                    const collapsed = collapsedThreads.has(c.id)
+                    replies.id = `thread-${c.id}`
+                    replies.classList.toggle("hidden", collapsed)
+                    const toggle = document.createElement("button")
+                    toggle.type = "button"
+                    toggle.className = "thread-toggle"
+                    toggle.dataset.action = "toggle-thread"
+                    toggle.dataset.commentId = c.id
+                    toggle.dataset.count = String(replies.children.length)
+                    toggle.setAttribute("aria-controls", replies.id)
+                    toggle.setAttribute("aria-expanded", collapsed ? "false" : "true")
+                    toggle.textContent = `${collapsed ? "Show" : "Hide"} replies (${replies.children.length})`
+                    content.appendChild(toggle)
+                    content.appendChild(replies)
+                }
+                list.appendChild(ci)
             })
+        return list
+    }
+
+    // Explore filters as kept in the URL: { q, author, from, to, following,
+    // sort, tag, mention } with dates as YYYY-MM-DD. Home shows everything.
+    // knownUsers are the registered users whose @mentions are worth linking.
+    let feedFilter = {}
+    let knownUsers = new Set()
+    const richOptions = { isUser: (name) => knownUsers.has(name), highlight: [] }
+    const EXPLORE_KEYS = ["q", "author", "from", "to", "following", "sort", "tag", "mention"]
+    const exploreForm = el("explore-form")
+    let exploreTimer = null
+    signal.addEventListener("abort", () => clearTimeout(exploreTimer))
+
+    function parseExplore(params) {
+        const filter = {}
+        EXPLORE_KEYS.forEach((key) => {
+            const value = (params.get(key) || "").trim()
+            if (value) filter[key] = value
+        })
+        if (filter.author) filter.author = filter.author.replace(/^@/, "").toLowerCase()
+        if (filter.following) filter.following = "1"
+        if (filter.sort && (filter.sort === "newest" || !PostService.SORTS.includes(filter.sort))) delete filter.sort
+        ;["from", "to"].forEach((key) => {
+            if (filter[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filter[key])) delete filter[key]
+        })
+        return filter
+    }
+
+    // On this page's own path, which may be a clean URL (/dashboard)
+    const exploreUrl = (filter) => `${window.location.pathname}?${new URLSearchParams({ view: "explore", ...filter })}`
+
+    // Dates cover whole local days
+    function toPostQuery(f) {
+        return {
+            tag: f.tag,
+            mention: f.mention,
+            query: f.q,
+            author: f.author,
+            since: f.from ? new Date(`${f.from}T00:00:00`).toISOString() : null,
+            until: f.to ? new Date(`${f.to}T23:59:59.999`).toISOString() : null,
+            following: f.following ? user.username : null,
+            sort: f.sort,
         }
     }
 
-    el("action-update-email")?.addEventListener("click", () => {
-        showMessage("dashboard-message", "success", "Email update coming soon. Hook this to your backend later.")
+    function setFeedFilter(filter) {
+        if (JSON.stringify(filter) === JSON.stringify(feedFilter)) return
+        feedFilter = filter
+        richOptions.highlight = RichText.searchTerms(filter.q)
+        const bar = el("feed-filter")
+        const label = el("feed-filter-label")
+        if (label) {
+            if (filter.tag) label.textContent = `Posts tagged #${filter.tag}`
+            else if (filter.mention) label.textContent = `Posts by or mentioning @${filter.mention}`
+        }
+        bar?.classList.toggle("hidden", !filter.tag && !filter.mention)
+        return renderFeed()
+    }
+
+    // Arriving at Explore from a link: mirror the URL in the form
+    async function showExplore(params) {
+        const filter = parseExplore(params)
+        if (exploreForm) {
+            exploreForm.elements.q.value = filter.q || ""
+            exploreForm.elements.author.value = filter.author ? `@${filter.author}` : ""
+            exploreForm.elements.from.value = filter.from || ""
+            exploreForm.elements.to.value = filter.to || ""
+            exploreForm.elements.sort.value = filter.sort || "newest"
+            exploreForm.elements.following.checked = !!filter.following
+        }
+        const people = el("explore-people")
+        if (people) {
+            const names = await AuthService.usernames()
+            people.replaceChildren()
+            names.forEach((name) => people.appendChild(new Option(`@${name}`)))
+        }
+        await setFeedFilter(filter)
+    }
+
+    // Changing the filters rewrites the URL so the view can be shared
+    function applyExplore(filter) {
+        history.replaceState(null, "", exploreUrl(filter))
+        return setFeedFilter(filter)
+    }
+
+    function exploreFromForm() {
+        const params = new URLSearchParams(new FormData(exploreForm))
+        if (feedFilter.tag) params.set("tag", feedFilter.tag)
+        if (feedFilter.mention) params.set("mention", feedFilter.mention)
+        return applyExplore(parseExplore(params))
+    }
+
+    on(exploreForm, "submit", (e) => {
+        e.preventDefault()
+        clearTimeout(exploreTimer)
+        exploreFromForm()
     })
+    on(exploreForm, "change", () => {
+        clearTimeout(exploreTimer)
+        exploreFromForm()
+    })
+    // Search as you type, once typing pauses
+    on(exploreForm?.elements.q, "input", () => {
+        clearTimeout(exploreTimer)
+        exploreTimer = setTimeout(exploreFromForm, 250)
+    })
+    // Let the form clear its fields first
+    on(exploreForm, "reset", () => setTimeout(() => applyExplore({})))
 
-    el("logout-btn")?.addEventListener("click", () => {
-        AuthService.logout()
-        navigateWithFade("index.html")
+    on(el("feed-filter-clear"), "click", () => {
+        const { tag, mention, ...rest } = feedFilter
+        return activeView === "explore" ? applyExplore(rest) : setFeedFilter({})
     })
 
-    PostService.seed()
+    // Ids of the posts the user saved, for the Save toggle on each post
+    let bookmarked = new Set()
 
-    const composer = el("composer-form")
-    const textarea = el("composer-text")
-    const counter = el("composer-count")
-    const feed = el("feed-list")
-    const suggestionsList = document.getElementById("suggestions-list")
+    // Posts whose comments hold a search term open with their comments showing
+    function commentsMatch(p) {
+        const terms = richOptions.highlight
+        return terms.length > 0 && p.comments.some((c) => terms.some((t) => c.text.toLowerCase().includes(t)))
+    }
 
-    function renderFeed() {
-        if (!feed) return
-        const posts = PostService.list()
-        feed.innerHTML = ""
-        posts.forEach((p) => {
-            const li = document.createElement("li")
-            li.className = "post"
-            li.dataset.id = p.id
+    function renderPost(p, { commentsOpen = false } = {}) {
+        const li = document.createElement("li")
+        li.className = "post"
+        li.dataset.id = p.id
 
-            const avatar = document.createElement("div")
-            avatar.className = "avatar"
-            avatar.textContent = (p.author || "?").charAt(0).toUpperCase()
+        const avatar = document.createElement("div")
+        avatar.className = "avatar"
+        avatar.textContent = (p.author || "?").charAt(0).toUpperCase()
 
-            const content = document.createElement("div")
+        const content = document.createElement("div")
 
-            const header = document.createElement("div")
-            header.className = "post-header"
-            const author = document.createElement("span")
-            author.className = "post-author"
-            author.textContent = p.author
-            const meta = document.createElement("span")
-            meta.className = "post-meta"
-            meta.textContent = formatDateTime(p.createdAt)
-            header.appendChild(author)
-            header.appendChild(meta)
+        const header = document.createElement("div")
+        header.className = "post-header"
+        const author = document.createElement("span")
+        author.className = "post-author"
+        author.textContent = p.author
+        const meta = document.createElement("span")
+        meta.className = "post-meta"
+        meta.textContent = formatDateTime(p.createdAt)
+        header.appendChild(author)
+        header.appendChild(meta)
+        if (p.editedAt) {
+            const edited = document.createElement("button")
+            edited.type = "button"
+            edited.className = "post-edited"
+            edited.dataset.action = "history"
+            edited.dataset.id = p.id
+            edited.title = `Edited ${formatDateTime(p.editedAt)}. Show earlier versions`
+            edited.setAttribute("aria-expanded", "false")
+            edited.setAttribute("aria-controls", `history-${p.id}`)
+            edited.textContent = "edited"
+            header.appendChild(edited)
+        }
 
-            const body = document.createElement("div")
-            body.className = "post-body"
-            body.textContent = p.text
+        const body = document.createElement("div")
+        body.className = "post-body"
+        body.appendChild(RichText.render(p.text, richOptions))
+
+        // Earlier versions, newest first (collapsed by default)
+        const history = document.createElement("ol")
+        history.className = "list post-history hidden"
+        history.id = `history-${p.id}`
+        p.revisions
+            .slice()
+            .reverse()
+            .forEach((r) => {
+                const ri = document.createElement("li")
+                const when = document.createElement("div")
+                when.className = "muted"
+                when.textContent = formatDateTime(r.at)
+                const text = document.createElement("div")
+                text.textContent = r.text
+                ri.appendChild(when)
+                ri.appendChild(text)
+                history.appendChild(ri)
+            })
+
+        const actions = document.createElement("div")
+        actions.className = "post-actions"
 
-            const actions = document.createElement("div")
-            actions.className = "post-actions"
-            const you = user?.username || "you"
-            const liked = (p.likes || []).includes(you)
+        const commentBtn = document.createElement("button")
+        commentBtn.className = "btn btn-ghost btn-xs"
+        commentBtn.dataset.action = "toggle-comments"
+        commentBtn.dataset.id = p.id
+        commentBtn.append(
+            h("span", { className: "label" }, "Comment"),
+            h("span", { className: "count" }, (p.comments || []).length),
+        )
 
-            const likeBtn = document.createElement("button")
-            likeBtn.className = "btn btn-ghost btn-xs" + (liked ? " is-liked" : "")
-            likeBtn.dataset.action = "like"
-            likeBtn.dataset.id = p.id
-            likeBtn.setAttribute("aria-pressed", liked ? "true" : "false")
-            likeBtn.innerHTML = `<span class="label">Like</span><span class="count">${(p.likes || []).length}</span>`
+        const saved = bookmarked.has(p.id)
+        const bookmarkBtn = document.createElement("button")
+        bookmarkBtn.className = "btn btn-ghost btn-xs" + (saved ? " is-active" : "")
+        bookmarkBtn.dataset.action = "bookmark"
+        bookmarkBtn.dataset.id = p.id
+        bookmarkBtn.setAttribute("aria-pressed", saved ? "true" : "false")
+        bookmarkBtn.textContent = saved ? "Saved" : "Save"
 
-            const commentBtn = document.createElement("button")
-            commentBtn.className = "btn btn-ghost btn-xs"
-            commentBtn.dataset.action = "toggle-comments"
-            commentBtn.dataset.id = p.id
-            commentBtn.innerHTML = `<span class="label">Comment</span><span class="count">${(p.comments || []).length}</span>`
+        actions.appendChild(renderReactions(p.reactions, p.id))
+        actions.appendChild(commentBtn)
+        actions.appendChild(bookmarkBtn)
 
-            actions.appendChild(likeBtn)
-            actions.appendChild(commentBtn)
+        // Only the author can change their post
+        const mine = p.author === user?.username
+        if (mine) {
+            const editBtn = document.createElement("button")
+            editBtn.className = "btn btn-ghost btn-xs"
+            editBtn.dataset.action = "edit"
+            editBtn.dataset.id = p.id
+            editBtn.textContent = "Edit"
+            actions.appendChild(editBtn)
 
             const delBtn = document.createElement("button")
             delBtn.className = "btn btn-ghost btn-xs btn-danger"
@@ -600,54 +5074,154 @@ function initDashboardPage() {
             delBtn.dataset.id = p.id
             delBtn.textContent = "Delete"
             actions.appendChild(delBtn)
+        }
 
-            // comments box (collapsed by default)
-            const box = document.createElement("div")
-            box.className = "comment-box hidden"
-            box.id = `comments-${p.id}`
-
-            const commentsList = document.createElement("ul")
-            commentsList.className = "list comments"
-                ; (p.comments || []).forEach((c) => {
-                    const ci = document.createElement("li")
-                    ci.className = "comment-item"
-                    ci.innerHTML = `<div class="avatar small">${(c.author || "?").charAt(0).toUpperCase()}</div>
-                        <div class="comment-content">
-                          <div class="comment-head"><strong>${c.author}</strong> <span class="muted">${formatDateTime(
-                        c.createdAt,
-                    )}</span></div>
-                          <div class="comment-text">${c.text}</div>
-                        </div>`
-                    commentsList.appendChild(ci)
-                })
+        // comments box (collapsed by default)
+        const box = document.createElement("div")
+        box.className = "comment-box" + (commentsOpen ? "" : " hidden")
+        box.id = `comments-${p.id}`
 
-            const form = document.createElement("form")
-            form.className = "comment-form"
-            form.dataset.id = p.id
-            form.innerHTML = `
-        <label class="visually-hidden" for="comment-${p.id}">Add a comment</label>
-        <input id="comment-${p.id}" name="comment" class="comment-input" placeholder="Write a comment..." />
-        <button class="btn btn-primary btn-sm" type="submit">Reply</button>
-      `
+        const commentsList = renderThread(p, null, 0)
+
+        const form = document.createElement("form")
+        form.className = "comment-form"
+        form.dataset.id = p.id
+        form.append(
+            h("label", { className: "visually-hidden", htmlFor: `comment-${p.id}` }, "Add a comment"),
+            h("input", {
+                id: `comment-${p.id}`,
+                name: "comment",
+                className: "comment-input",
+                placeholder: "Write a comment...",
+            }),
+            h("button", { className: "btn btn-primary btn-sm", type: "submit" }, "Reply"),
+        )
+
+        box.appendChild(commentsList)
+        box.appendChild(form)
+
+        content.appendChild(header)
+        content.appendChild(body)
+        content.appendChild(history)
+        content.appendChild(actions)
+        content.appendChild(box)
 
-            box.appendChild(commentsList)
-            box.appendChild(form)
+        li.appendChild(avatar)
+        li.appendChild(content)
+        return li
+    }
+
+    // The feed loads a page at a time: the "Load more" button is the
+    // accessible fallback, and scrolling it into view loads the next page
+    const moreBtn = el("feed-more")
+    const feedState = { cursor: null, done: false, loading: false, generation: 0 }
+    let feedObserver = null
+
+    const postItem = (id) => feed.querySelector(`li.post[data-id="${CSS.escape(id)}"]`)
+    const hasOpenComments = (li) => !!li && !li.querySelector(".comment-box")?.classList.contains("hidden")
+
+    function renderFeedFooter() {
+        moreBtn?.classList.toggle("hidden", feedState.done)
+        if (moreBtn) moreBtn.disabled = feedState.loading
+        el("feed-end")?.classList.toggle("hidden", !feedState.done || !feed.children.length)
+        feed.setAttribute("aria-busy", feedState.loading ? "true" : "false")
+    }
+
+    async function loadMorePosts() {
+        if (!feed || feedState.loading || feedState.done) return
+        const generation = feedState.generation
+        feedState.loading = true
+        renderFeedFooter()
+        const { posts, nextCursor } = await PostService.page(toPostQuery(feedFilter), { cursor: feedState.cursor })
+        // A reset while this page loaded (new filter, another tab's import) wins
+        if (generation !== feedState.generation) return
+        // Skip posts that are already shown, e.g. ones added since the first page
+        posts
+            .filter((p) => !postItem(p.id))
+            .forEach((p) => feed.appendChild(renderPost(p, { commentsOpen: commentsMatch(p) })))
+        feedState.cursor = nextCursor
+        feedState.done = !nextCursor
+        feedState.loading = false
+        renderFeedFooter()
+        // Observers only report changes, so re-arm it in case the button is still on screen
+        if (feedObserver && !feedState.done) {
+            feedObserver.unobserve(moreBtn)
+            feedObserver.observe(moreBtn)
+        }
+    }
 
-            content.appendChild(header)
-            content.appendChild(body)
-            content.appendChild(actions)
-            content.appendChild(box)
+    // Start over from the first page
+    async function renderFeed() {
+        if (!feed) return
+        knownUsers = new Set(await AuthService.usernames())
+        bookmarked = await BookmarkService.ids(user.username)
+        feedState.generation += 1
+        Object.assign(feedState, { cursor: null, done: false, loading: false })
+        feed.replaceChildren()
+        await loadMorePosts()
+        if (!feed.children.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted feed-empty"
+            empty.textContent = Object.keys(feedFilter).length ? "No posts match these filters." : "No posts yet."
+            feed.appendChild(empty)
+        }
+    }
+
+    // Redraw one post in place (or drop it when it's gone), keeping its
+    // comment box open or closed as it was
+    async function patchPost(id) {
+        const li = postItem(id)
+        const p = await PostService.get(id)
+        if (!li) return
+        if (!p) return li.remove()
+        li.replaceWith(renderPost(p, { commentsOpen: hasOpenComments(li) }))
+    }
+
+    // A post someone just wrote goes on top when it belongs in this view
+    async function showNewPost(id) {
+        if (!feed || postItem(id)) return
+        if (Object.keys(feedFilter).length) return renderFeed()
+        const p = await PostService.get(id)
+        if (!p) return
+        feed.querySelector(".feed-empty")?.remove()
+        feed.prepend(renderPost(p))
+    }
 
-            li.appendChild(avatar)
-            li.appendChild(content)
-            feed.appendChild(li)
+    on(moreBtn, "click", loadMorePosts)
+    if (moreBtn && "IntersectionObserver" in window) {
+        feedObserver = new IntersectionObserver((entries) => {
+            if (entries.some((e) => e.isIntersecting)) loadMorePosts()
         })
+        feedObserver.observe(moreBtn)
+        signal.addEventListener("abort", () => feedObserver.disconnect())
+    }
+
+    async function renderFollowCounts() {
+        const { followers, following } = await FollowService.counts(user.username)
+        el("profile-followers").textContent = String(followers)
+        el("profile-following").textContent = String(following)
+    }
+
+    // Why someone is suggested, in a few words
+    function suggestionReason(s) {
+        if (s.mutual) return `${s.mutual} mutual follow${s.mutual === 1 ? "" : "s"}`
+        if (s.followsYou) return "Follows you"
+        if (s.lastActiveAt) return `Active ${formatDateTime(s.lastActiveAt)}`
+        return "New here"
     }
 
-    function renderSuggestions() {
+    async function renderSuggestions() {
+        await renderFollowCounts()
         if (!suggestionsList) return
-        suggestionsList.innerHTML = ""
-        PostService.suggestions().forEach((s) => {
+        const suggestions = await FollowService.suggestions(user.username)
+        suggestionsList.replaceChildren()
+        if (!suggestions.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "You're following everyone here."
+            suggestionsList.appendChild(empty)
+        }
+        suggestions.forEach((s) => {
             const li = document.createElement("li")
             li.className = "suggestion"
             const left = document.createElement("div")
@@ -657,16 +5231,16 @@ function initDashboardPage() {
 
             const av = document.createElement("div")
             av.className = "avatar"
-            av.textContent = s.name.charAt(0).toUpperCase()
+            av.textContent = s.username.charAt(0).toUpperCase()
 
             const info = document.createElement("div")
             info.className = "info"
             const name = document.createElement("span")
             name.className = "name"
-            name.textContent = s.name
+            name.textContent = `@${s.username}`
             const handle = document.createElement("span")
             handle.className = "handle"
-            handle.textContent = s.handle
+            handle.textContent = suggestionReason(s)
 
             info.appendChild(name)
             info.appendChild(handle)
@@ -674,11 +5248,11 @@ function initDashboardPage() {
             left.appendChild(info)
 
             const follow = document.createElement("button")
-            const following = FollowService.isFollowing(s.handle)
-            follow.className = "btn btn-ghost" + (following ? " is-active" : "")
+            follow.className = "btn btn-ghost"
             follow.type = "button"
-            follow.dataset.handle = s.handle
-            follow.textContent = following ? "Following" : "Follow"
+            follow.dataset.username = s.username
+            follow.setAttribute("aria-pressed", "false")
+            follow.textContent = "Follow"
 
             li.appendChild(left)
             li.appendChild(follow)
@@ -686,19 +5260,108 @@ function initDashboardPage() {
         })
     }
 
-    textarea?.addEventListener("input", () => {
+    on(textarea, "input", () => {
         counter && (counter.textContent = `${textarea.value.length}/300`)
     })
 
-    composer?.addEventListener("submit", (e) => {
+    // @username autocomplete in the composer: the partial name before the
+    // caret is matched against registered users
+    const suggest = el("composer-suggest")
+    let mentionMatches = []
+    let mentionIndex = 0
+
+    function closeMentions() {
+        mentionMatches = []
+        suggest?.classList.add("hidden")
+        textarea?.setAttribute("aria-expanded", "false")
+        textarea?.removeAttribute("aria-activedescendant")
+    }
+
+    function partialMention() {
+        const before = textarea.value.slice(0, textarea.selectionStart)
+        const m = before.match(/(?:^|[^\p{L}\p{N}_@#&/])@([\p{L}\p{N}_.-]*)$/u)
+        return m ? { query: m[1].toLowerCase(), start: before.length - m[1].length - 1 } : null
+    }
+
+    function renderMentions() {
+        if (!suggest) return
+        suggest.replaceChildren()
+        mentionMatches.forEach((name, i) => {
+            const li = document.createElement("li")
+            li.id = `composer-suggest-${i}`
+            li.className = "mention-option" + (i === mentionIndex ? " is-active" : "")
+            li.setAttribute("role", "option")
+            li.setAttribute("aria-selected", i === mentionIndex ? "true" : "false")
+            li.dataset.username = name
+            li.textContent = `@${name}`
+            suggest.appendChild(li)
+        })
+        suggest.classList.remove("hidden")
+        textarea.setAttribute("aria-expanded", "true")
+        textarea.setAttribute("aria-activedescendant", `composer-suggest-${mentionIndex}`)
+    }
+
+    function pickMention(name) {
+        const partial = partialMention()
+        if (!partial) return closeMentions()
+        const end = textarea.selectionStart
+        const insert = `@${name} `
+        textarea.value = textarea.value.slice(0, partial.start) + insert + textarea.value.slice(end)
+        const caret = partial.start + insert.length
+        textarea.setSelectionRange(caret, caret)
+        textarea.dispatchEvent(new Event("input"))
+        closeMentions()
+        textarea.focus()
+    }
+
+    on(textarea, "input", async () => {
+        const partial = partialMention()
+        if (!partial) return closeMentions()
+        const names = await AuthService.usernames()
+        mentionMatches = names.filter((n) => n.startsWith(partial.query) && n !== user?.username).slice(0, 5)
+        mentionIndex = 0
+        if (mentionMatches.length) renderMentions()
+        else closeMentions()
+    })
+
+    on(textarea, "keydown", (e) => {
+        if (!mentionMatches.length) return
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault()
+            const step = e.key === "ArrowDown" ? 1 : -1
+            mentionIndex = (mentionIndex + step + mentionMatches.length) % mentionMatches.length
+            renderMentions()
+        } else if (e.key === "Enter" || e.key === "Tab") {
+            e.preventDefault()
+            pickMention(mentionMatches[mentionIndex])
+        } else if (e.key === "Escape") {
+            closeMentions()
+        }
+    })
+
+    on(textarea, "blur", () => setTimeout(closeMentions, 150))
+
+    // mousedown keeps focus (and the caret) in the textarea
+    on(suggest, "mousedown", (e) => {
+        const option = e.target.closest("[data-username]")
+        if (!option) return
+        e.preventDefault()
+        pickMention(option.dataset.username)
+    })
+
+    on(composer, "submit", async (e) => {
         e.preventDefault()
+        if (!AuthService.can(user, "post")) {
+            showMessage("dashboard-message", "error", "Verify your email to start posting.")
+            return
+        }
         const text = (textarea?.value || "").trim()
         if (!text) {
             showMessage("dashboard-message", "error", "Post cannot be empty.")
             return
         }
         const author = user?.username || "you"
-        const res = PostService.add({ author, text })
+        const res = await PostService.add({ author, text })
         if (!res.ok) {
             showMessage("dashboard-message", "error", res.error)
             return
@@ -706,51 +5369,187 @@ function initDashboardPage() {
         textarea.value = ""
         counter && (counter.textContent = "0/300")
         clearMessage("dashboard-message")
-        renderFeed()
+        await showNewPost(res.post.id)
     })
 
-    feed?.addEventListener("click", (e) => {
+    on(feed, "click", async (e) => {
         const btn = e.target.closest?.("[data-action]")
         if (!btn) return
         const action = btn.dataset.action
         const id = btn.dataset.id
         const me = user?.username || "you"
 
-        if (action === "like") {
-            const res = PostService.toggleLike(id, me)
+        if (action === "react") {
+            // Reacting is covered by the "like" permission
+            if (!AuthService.can(user, "like")) {
+                showMessage("dashboard-message", "error", "Verify your email to react to posts.")
+                return
+            }
+            const commentId = btn.dataset.commentId || null
+            const res = await PostService.toggleReaction(id, btn.dataset.emoji, me, { commentId })
             if (!res.ok) {
                 showMessage("dashboard-message", "error", res.error)
                 return
             }
-            // Update inline without full re-render
-            btn.querySelector(".count").textContent = String(res.likes)
-            const pressed = btn.getAttribute("aria-pressed") === "true"
-            btn.setAttribute("aria-pressed", pressed ? "false" : "true")
-            btn.classList.toggle("is-liked")
+            await patchPost(id)
         }
 
         if (action === "delete") {
             const okToDelete = confirm("Delete this post?")
             if (!okToDelete) return
-            const res = PostService.deletePost(id)
+            const res = await PostService.deletePost(id)
             if (!res.ok) {
                 showMessage("dashboard-message", "error", res.error)
                 return
             }
-            const li = feed.querySelector(`li.post[data-id="${id}"]`)
+            const li = postItem(id)
             if (li) {
                 li.style.opacity = "0"
                 setTimeout(() => li.remove(), 180)
             }
         }
 
+        if (action === "bookmark") {
+            const res = await BookmarkService.toggle(me, id)
+            if (!res.ok) {
+                showMessage("dashboard-message", "error", res.error)
+                return
+            }
+            await syncBookmarks()
+        }
+
         if (action === "toggle-comments") {
             const box = document.getElementById(`comments-${id}`)
             if (box) box.classList.toggle("hidden")
         }
+
+        // Hashtags and mentions open Explore filtered to them
+        if (action === "filter-tag" || action === "filter-mention") {
+            const filter = action === "filter-tag" ? { tag: btn.dataset.tag } : { mention: btn.dataset.username }
+            await Router.navigate(exploreUrl(filter))
+            el("feed-filter")?.scrollIntoView({ block: "nearest" })
+            return
+        }
+
+        if (action === "toggle-thread") {
+            const commentId = btn.dataset.commentId
+            const thread = document.getElementById(`thread-${commentId}`)
+            if (!thread) return
+            const hidden = thread.classList.toggle("hidden")
+            if (hidden) collapsedThreads.add(commentId)
+            else collapsedThreads.delete(commentId)
+            btn.setAttribute("aria-expanded", hidden ? "false" : "true")
+            btn.textContent = `${hidden ? "Show" : "Hide"} replies (${btn.dataset.count})`
+        }
+
+        // Inline reply form under the comment being answered
+        if (action === "reply") {
+            const item = btn.closest(".comment-item")
+            const tools = item?.querySelector(".comment-tools")
+            if (!tools || item.querySelector(":scope > .comment-content > .comment-form")) return
+            const commentId = btn.dataset.commentId
+            const form = document.createElement("form")
+            form.className = "comment-form reply-form"
+            form.dataset.id = id
+            form.dataset.parentId = commentId
+            const label = document.createElement("label")
+            label.className = "visually-hidden"
+            label.htmlFor = `reply-${commentId}`
+            label.textContent = "Write a reply"
+            const input = document.createElement("input")
+            input.id = `reply-${commentId}`
+            input.name = "comment"
+            input.className = "comment-input"
+            input.placeholder = "Write a reply..."
+            const submit = document.createElement("button")
+            submit.className = "btn btn-primary btn-sm"
+            submit.type = "submit"
+            submit.textContent = "Reply"
+            form.appendChild(label)
+            form.appendChild(input)
+            form.appendChild(submit)
+            tools.after(form)
+            input.focus()
+        }
+
+        if (action === "history") {
+            const list = document.getElementById(`history-${id}`)
+            if (!list) return
+            const hidden = list.classList.toggle("hidden")
+            btn.setAttribute("aria-expanded", hidden ? "false" : "true")
+        }
+
+        // Swap the post body for an inline editor
+        if (action === "edit") {
+            const li = btn.closest("li.post")
+            const body = li?.querySelector(".post-body")
+            if (!body || li.querySelector(".edit-form")) return
+            const form = document.createElement("form")
+            form.className = "edit-form"
+            form.dataset.id = id
+            const label = document.createElement("label")
+            label.className = "visually-hidden"
+            label.htmlFor = `edit-${id}`
+            label.textContent = "Edit post"
+            const input = document.createElement("textarea")
+            input.id = `edit-${id}`
+            input.name = "text"
+            input.className = "composer-input"
+            input.rows = 3
+            input.maxLength = 300
+            input.value = body.textContent
+            const row = document.createElement("div")
+            row.className = "composer-actions"
+            const cancel = document.createElement("button")
+            cancel.type = "button"
+            cancel.className = "btn btn-ghost btn-sm"
+            cancel.dataset.action = "cancel-edit"
+            cancel.textContent = "Cancel"
+            const save = document.createElement("button")
+            save.type = "submit"
+            save.className = "btn btn-primary btn-sm"
+            save.textContent = "Save"
+            row.appendChild(cancel)
+            row.appendChild(save)
+            form.appendChild(label)
+            form.appendChild(input)
+            form.appendChild(row)
+            body.classList.add("hidden")
+            body.after(form)
+            input.focus()
+        }
+
+        if (action === "cancel-edit") {
+            const li = btn.closest("li.post")
+            li?.querySelector(".edit-form")?.remove()
+            li?.querySelector(".post-body")?.classList.remove("hidden")
+        }
+
+        if (action === "delete-comment") {
+            if (!confirm("Delete this comment and any replies to it?")) return
+            const res = await PostService.deleteComment(id, btn.dataset.commentId)
+            if (!res.ok) {
+                showMessage("dashboard-message", "error", res.error)
+                return
+            }
+            await patchPost(id)
+        }
     })
 
-    feed?.addEventListener("submit", (e) => {
+    on(feed, "submit", async (e) => {
+        const editForm = e.target.closest?.(".edit-form")
+        if (editForm) {
+            e.preventDefault()
+            const text = new FormData(editForm).get("text")
+            const res = await PostService.editPost(editForm.dataset.id, text)
+            if (!res.ok) {
+                showMessage("dashboard-message", "error", res.error)
+                return
+            }
+            clearMessage("dashboard-message")
+            await patchPost(editForm.dataset.id)
+            return
+        }
         const form = e.target.closest?.(".comment-form")
         if (!form) return
         e.preventDefault()
@@ -758,49 +5557,394 @@ function initDashboardPage() {
         const input = form.querySelector('input[name="comment"]')
         const text = (input?.value || "").trim()
         if (!text) return
+        if (!AuthService.can(user, "comment")) {
+            showMessage("dashboard-message", "error", "Verify your email to join the conversation.")
+            return
+        }
         const me = user?.username || "you"
-        const res = PostService.addComment(id, { author: me, text })
+        const parentId = form.dataset.parentId || null
+        const res = await PostService.addComment(id, { author: me, text, parentId })
         if (!res.ok) {
             showMessage("dashboard-message", "error", res.error)
             return
         }
         input.value = ""
-        // Re-render that post's comment box (simpler)
-        renderFeed()
+        await patchPost(id)
+        document.getElementById(`comment-${id}`)?.focus()
+    })
+
+    on(suggestionsList, "click", async (e) => {
+        const btn = e.target.closest?.("button[data-username]")
+        if (!btn) return
+        if (!AuthService.can(user, "follow")) {
+            showMessage("dashboard-message", "error", "Verify your email to follow people.")
+            return
+        }
+        const res = await FollowService.toggle(user.username, btn.dataset.username)
+        if (!res.ok) {
+            showMessage("dashboard-message", "error", res.error)
+            return
+        }
+        // The suggestion stays until the next refresh so it can be undone
+        btn.classList.toggle("is-active", res.following)
+        btn.setAttribute("aria-pressed", res.following ? "true" : "false")
+        btn.textContent = res.following ? "Following" : "Follow"
+        await renderFollowCounts()
+    })
+
+    showView(new URLSearchParams(window.location.search))
+    renderVerifyBanner()
+    renderTwoFactor()
+    renderActivityFilters()
+    await renderActivity()
+    // Verification links land here as dashboard.html?verify=<code>
+    const linkCode = new URLSearchParams(window.location.search).get("verify")
+    if (linkCode) {
+        history.replaceState(null, "", window.location.pathname)
+        if (!AuthService.isEmailVerified(user)) await submitVerification(linkCode)
+    }
+
+    // Other tabs: follow logouts and user switches, pick up feed changes
+    const unsubscribe = SyncBus.subscribe(async ({ type, payload }) => {
+        if (type.startsWith("session:")) {
+            const current = await AuthService.getCurrentUser({ touch: false })
+            if (!current) Router.recheck()
+            else if (current.username !== user.username) initDashboardPage()
+        } else if (type === "posts:changed") {
+            // Patch just the post that changed; bulk changes start over
+            if (!payload?.id) await renderFeed()
+            else if (payload.change === "add") await showNewPost(payload.id)
+            else await patchPost(payload.id)
+            if (activeView === "bookmarks") await renderBookmarks()
+        } else if (type === "follows:changed") {
+            await renderSuggestions()
+            if (feedFilter.following) await renderFeed()
+        } else if (type === "audit:recorded" && payload.username === user.username) {
+            await renderActivity()
+        } else if (type === "notifications:changed" && payload.username === user.username) {
+            await renderNotifications()
+        } else if (type === "bookmarks:changed" && payload.username === user.username) {
+            await syncBookmarks()
+        } else if (type === "messages:changed" && payload.participants.includes(user.username)) {
+            if (activeView === "messages") await renderMessages()
+            else await renderMessagesUnread()
+        }
     })
+    signal.addEventListener("abort", unsubscribe)
 
-    suggestionsList?.addEventListener("click", (e) => {
-        const btn = e.target.closest?.("button[data-handle]")
+    await renderFeed()
+    await renderSuggestions()
+    await renderNotifications()
+    await renderNotificationPrefs()
+    await renderMessagesUnread()
+}
+
+// Admin console: user management for admins, content moderation and the
+// action log for moderators and admins
+async function initAdminPage() {
+    const admin = await AuthService.getCurrentUser()
+    if (!admin) return Router.recheck()
+    const isAdmin = AuthService.hasRole(admin, "admin")
+    el("admin-whoami").textContent = `Signed in as @${admin.username} (${admin.role})`
+    el("admin-users")?.classList.toggle("hidden", !isAdmin)
+
+    // Results are shown once at the top of the page, then the lists redraw
+    async function report(res, success) {
+        if (!res.ok) showMessage("admin-message", "error", res.error)
+        else showMessage("admin-message", "success", success)
+        await Promise.all([renderUsers(), renderContent(), renderLog()])
+    }
+
+    // Users
+    const search = el("admin-user-search")
+    const usersBody = el("admin-users-body")
+
+    function statusOf(u) {
+        if (u.locked) return { text: "Locked", className: "badge badge-danger" }
+        if (u.passwordResetRequired) return { text: "Reset pending", className: "badge badge-warn" }
+        return { text: "Active", className: "badge" }
+    }
+
+    async function renderUsers() {
+        if (!isAdmin || !usersBody) return
+        const res = await AuthService.listUsers({ query: search?.value })
+        usersBody.replaceChildren()
+        if (!res.ok) return showMessage("admin-message", "error", res.error)
+        res.users.forEach((u) => {
+            const self = u.username === admin.username
+            const tr = document.createElement("tr")
+            tr.dataset.username = u.username
+
+            const who = document.createElement("td")
+            const name = document.createElement("div")
+            name.textContent = `@${u.username}`
+            const email = document.createElement("div")
+            email.className = "muted"
+            email.textContent = u.email
+            who.appendChild(name)
+            who.appendChild(email)
+
+            const roleCell = document.createElement("td")
+            const role = document.createElement("select")
+            role.className = "admin-role"
+            role.setAttribute("aria-label", `Role for ${u.username}`)
+            role.disabled = self
+            AuthService.ROLES.forEach((r) => role.appendChild(new Option(r, r, false, r === u.role)))
+            roleCell.appendChild(role)
+
+            const statusCell = document.createElement("td")
+            const badge = document.createElement("span")
+            const status = statusOf(u)
+            badge.className = status.className
+            badge.textContent = status.text
+            if (u.locked) {
+                const reason = u.locked.reason ? `: ${u.locked.reason}` : ""
+                badge.title = `Locked by @${u.locked.by} on ${formatDateTime(u.locked.at)}${reason}`
+            }
+            statusCell.appendChild(badge)
+
+            const actions = document.createElement("td")
+            actions.className = "admin-actions"
+            const lock = document.createElement("button")
+            lock.type = "button"
+            lock.className = "btn btn-ghost btn-xs" + (u.locked ? "" : " btn-danger")
+            lock.dataset.action = u.locked ? "unlock" : "lock"
+            lock.textContent = u.locked ? "Unlock" : "Lock"
+            lock.disabled = self
+            const reset = document.createElement("button")
+            reset.type = "button"
+            reset.className = "btn btn-ghost btn-xs"
+            reset.dataset.action = "reset"
+            reset.textContent = "Force reset"
+            reset.disabled = self
+            actions.appendChild(lock)
+            actions.appendChild(reset)
+
+            tr.appendChild(who)
+            tr.appendChild(roleCell)
+            tr.appendChild(statusCell)
+            tr.appendChild(actions)
+            usersBody.appendChild(tr)
+        })
+        if (!res.users.length) {
+            const tr = document.createElement("tr")
+            const td = document.createElement("td")
+            td.colSpan = 4
+            td.className = "muted"
+            td.textContent = "No users match."
+            tr.appendChild(td)
+            usersBody.appendChild(tr)
+        }
+    }
+
+    search?.addEventListener("input", () => renderUsers())
+
+    usersBody?.addEventListener("click", async (e) => {
+        const btn = e.target.closest("button[data-action]")
+        if (!btn) return
+        const username = btn.closest("tr").dataset.username
+        clearMessage("admin-message")
+        if (btn.dataset.action === "lock") {
+            const reason = prompt(`Lock @${username}? They'll be signed out everywhere. Reason (optional):`, "")
+            if (reason === null) return
+            await report(await AuthService.lockAccount(username, { reason }), `@${username} is locked.`)
+        } else if (btn.dataset.action === "unlock") {
+            await report(await AuthService.unlockAccount(username), `@${username} is unlocked.`)
+        } else if (btn.dataset.action === "reset") {
+            if (!confirm(`Sign @${username} out and make them choose a new password?`)) return
+            await report(await AuthService.forcePasswordReset(username), `Reset link sent to @${username}.`)
+        }
+    })
+
+    usersBody?.addEventListener("change", async (e) => {
+        if (!e.target.matches("select.admin-role")) return
+        const username = e.target.closest("tr").dataset.username
+        clearMessage("admin-message")
+        await report(await AuthService.setRole(username, e.target.value), `@${username} is now ${e.target.value}.`)
+    })
+
+    // Content
+    const postsList = el("admin-posts")
+
+    async function renderContent() {
+        if (!postsList) return
+        const posts = await PostService.list()
+        postsList.replaceChildren()
+        posts.forEach((p) => {
+            const li = document.createElement("li")
+            li.className = "admin-post"
+            li.dataset.id = p.id
+
+            const head = document.createElement("div")
+            head.className = "admin-post-head"
+            const meta = document.createElement("div")
+            meta.className = "muted"
+            meta.textContent = `@${p.author} · ${formatDateTime(p.createdAt)}`
+            const remove = document.createElement("button")
+            remove.type = "button"
+            remove.className = "btn btn-ghost btn-xs btn-danger"
+            remove.dataset.action = "remove-post"
+            remove.textContent = "Remove post"
+            head.appendChild(meta)
+            head.appendChild(remove)
+
+            const text = document.createElement("p")
+            text.textContent = p.text
+
+            const comments = document.createElement("ul")
+            comments.className = "list admin-comments"
+            p.comments.forEach((c) => {
+                const ci = document.createElement("li")
+                ci.dataset.commentId = c.id
+                const body = document.createElement("span")
+                body.textContent = `@${c.author}: ${c.text}`
+                const removeComment = document.createElement("button")
+                removeComment.type = "button"
+                removeComment.className = "btn btn-ghost btn-xs btn-danger"
+                removeComment.dataset.action = "remove-comment"
+                removeComment.textContent = "Remove"
+                ci.appendChild(body)
+                ci.appendChild(removeComment)
+                comments.appendChild(ci)
+            })
+
+            li.appendChild(head)
+            li.appendChild(text)
+            li.appendChild(comments)
+            postsList.appendChild(li)
+        })
+        if (!posts.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "No posts yet."
+            postsList.appendChild(empty)
+        }
+    }
+
+    postsList?.addEventListener("click", async (e) => {
+        const btn = e.target.closest("button[data-action]")
         if (!btn) return
-        const handle = btn.dataset.handle
-        const following = FollowService.toggle(handle)
-        btn.classList.toggle("is-active", following)
-        btn.textContent = following ? "Following" : "Follow"
+        const postId = btn.closest(".admin-post").dataset.id
+        clearMessage("admin-message")
+        if (btn.dataset.action === "remove-post") {
+            if (!confirm("Remove this post and its comments?")) return
+            await report(await AdminService.removePost(postId), "Post removed.")
+        } else if (btn.dataset.action === "remove-comment") {
+            const commentId = btn.closest("li[data-comment-id]").dataset.commentId
+            await report(await AdminService.removeComment(postId, commentId), "Comment removed.")
+        }
+    })
+
+    // Action log
+    const logList = el("admin-log")
+
+    async function renderLog() {
+        if (!logList) return
+        const entries = await AdminLog.list()
+        logList.replaceChildren()
+        entries.forEach((entry) => {
+            const li = document.createElement("li")
+            const left = document.createElement("div")
+            const title = document.createElement("div")
+            title.textContent = `@${entry.actor}: ${entry.label} (@${entry.target})`
+            const sub = document.createElement("div")
+            sub.className = "muted"
+            sub.textContent = formatDateTime(entry.at)
+            left.appendChild(title)
+            left.appendChild(sub)
+            li.appendChild(left)
+            logList.appendChild(li)
+        })
+        if (!entries.length) {
+            const empty = document.createElement("li")
+            empty.className = "muted"
+            empty.textContent = "No admin actions yet."
+            logList.appendChild(empty)
+        }
+    }
+
+    el("logout-btn")?.addEventListener("click", async () => {
+        await AuthService.logout()
+        Router.navigate("index.html")
+    })
+
+    // Other tabs: a sign-out or user switch re-runs the role check
+    SyncBus.subscribe(async ({ type }) => {
+        if (type.startsWith("session:")) await Router.recheck()
+        else if (type === "posts:changed") await renderContent()
+    })
+
+    await Promise.all([renderUsers(), renderContent(), renderLog()])
+}
+
+// Shown instead of the page when stored data can't be read. Offers a download
+// of what's there before clearing the broken key.
+function renderDataRecovery(err) {
+    console.error(err)
+    const main = document.querySelector("main")
+    if (!main) return
+    main.replaceChildren()
+
+    const card = document.createElement("section")
+    card.className = "card"
+    card.setAttribute("role", "alert")
+
+    const title = document.createElement("h1")
+    title.className = "card-title"
+    title.textContent = "We couldn't load your saved data"
+    const text = document.createElement("p")
+    text.className = "card-subtitle"
+    text.textContent = `${err.message} Download a copy before resetting it so nothing is lost for good.`
+
+    const actions = document.createElement("div")
+    actions.className = "actions"
+
+    const download = document.createElement("button")
+    download.className = "btn btn-ghost"
+    download.type = "button"
+    download.textContent = "Download a copy"
+    download.addEventListener("click", () => {
+        const raw = typeof err.raw === "string" ? err.raw : JSON.stringify(err.raw ?? null, null, 2)
+        downloadFile(`${err.key}.backup.json`, raw)
+    })
+
+    const reset = document.createElement("button")
+    reset.className = "btn btn-primary"
+    reset.type = "button"
+    reset.textContent = "Reset this data"
+    reset.addEventListener("click", async () => {
+        if (!confirm(`Delete the stored "${err.key}" data? This can't be undone.`)) return
+        localStorage.removeItem(err.key) // may still sit there if a legacy import failed
+        try {
+            await Store.remove(err.key)
+        } catch {
+            // adapter never came up; the localStorage copy was the problem
+        }
+        window.location.reload()
     })
 
-    renderFeed()
-    renderSuggestions()
+    actions.appendChild(download)
+    actions.appendChild(reset)
+    card.appendChild(title)
+    card.appendChild(text)
+    card.appendChild(actions)
+    main.appendChild(card)
 }
 
 // -----------------------------
 // Boot
 // -----------------------------
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
     setupLinkTransitions()
 
-    const page = document.body.getAttribute("data-page")
-    switch (page) {
-        case "login":
-            initLoginPage()
-            break
-        case "signup":
-            initSignupPage()
-            break
-        case "forgot":
-            initForgotPage()
-            break
-        case "dashboard":
-            initDashboardPage()
-            break
+    // Migrations only read the data when one is pending, so corruption can
+    // also surface later, from the route guard or the page's first render
+    try {
+        await Migrations.run()
+        await AuthService.grantConfiguredRoles()
+        await Router.start()
+    } catch (err) {
+        if (!(err instanceof DataCorruptionError)) throw err
+        renderDataRecovery(err)
     }
 })
@@ -0,0 +1,71 @@
+// Account archives round-trip into another browser, and can't put words in
+// anyone else's name
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp } = require("./helpers/dom")
+
+async function exportFrom(username, text) {
+    const page = await bootPage("dashboard.html", undefined, { start: false })
+    try {
+        await signUp(page.run, username)
+        await page.run("PostService").add({ author: username, text })
+        const res = await page.run("AccountService").exportData()
+        assert.equal(res.ok, true)
+        return JSON.parse(res.json)
+    } finally {
+        page.close()
+    }
+}
+
+test("an exported archive imports into an account with another name", async (t) => {
+    const archive = await exportFrom("alice", "Hello from the old browser")
+    assert.equal(archive.profile.username, "alice")
+    assert.ok(!JSON.stringify(archive).includes("passwordHash"))
+
+    const page = await bootPage("dashboard.html", undefined, { start: false })
+    t.after(page.close)
+    await signUp(page.run, "alice2")
+    const AccountService = page.run("AccountService")
+    const res = await AccountService.importData(JSON.stringify(archive))
+    assert.equal(res.ok, true)
+    assert.equal(res.summary.posts, 1)
+    assert.equal(res.summary.renamedFrom, "alice")
+
+    const [post] = await page.run("PostService").list()
+    assert.equal(post.author, "alice2")
+    assert.equal(post.text, "Hello from the old browser")
+
+    // Importing the same archive again adds nothing
+    assert.equal((await AccountService.importData(JSON.stringify(archive))).summary.posts, 0)
+    assert.equal((await page.run("PostService").list()).length, 1)
+})
+
+test("top-level comments by another account are rejected", async (t) => {
+    const archive = await exportFrom("mallory", "Nothing to see")
+    archive.comments.push({ postId: "someone-elses", author: "victim", text: "I agree", createdAt: archive.exportedAt })
+
+    const page = await bootPage("dashboard.html", undefined, { start: false })
+    t.after(page.close)
+    await signUp(page.run, "mallory")
+    const res = await page.run("AccountService").importData(JSON.stringify(archive))
+    assert.equal(res.ok, false)
+    assert.equal(res.error, "The archive holds comments by another account.")
+    assert.equal((await page.run("PostService").list()).length, 0)
+})
+
+test("comments by others on imported posts are skipped", async (t) => {
+    const archive = await exportFrom("mallory", "Great post")
+    archive.posts[0].comments.push({ id: "forged", author: "victim", text: "Agreed!", createdAt: archive.exportedAt })
+
+    const page = await bootPage("dashboard.html", undefined, { start: false })
+    t.after(page.close)
+    await signUp(page.run, "victim")
+    await signUp(page.run, "mallory")
+    const res = await page.run("AccountService").importData(JSON.stringify(archive))
+    assert.equal(res.ok, true)
+    assert.equal(res.summary.skipped, 1)
+
+    const [post] = await page.run("PostService").list()
+    assert.equal(post.author, "mallory")
+    assert.equal(post.comments.length, 0)
+})
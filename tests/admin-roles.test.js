@@ -0,0 +1,26 @@
+// Admin rights come from configuration, never from signing up first
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp } = require("./helpers/dom")
+
+test("the first account on a fresh store is a plain user", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    await signUp(page.run, "first")
+
+    const user = await page.run("AuthService").getCurrentUser()
+    assert.equal(user.role, "user")
+})
+
+test("accounts named in AppConfig.admins are promoted by the boot step", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    page.run('AppConfig.admins = ["Boss"]')
+    await signUp(page.run, "boss")
+    await signUp(page.run, "someone")
+    await page.run("AuthService").grantConfiguredRoles()
+
+    const users = await page.run("Store").get("auth.users")
+    assert.equal(users.boss.role, "admin")
+    assert.equal(users.someone.role, "user")
+})
@@ -0,0 +1,67 @@
+// Regression tests: user-controlled text in the feed must render as text,
+// never as markup
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp, waitFor } = require("./helpers/dom")
+
+const PAYLOADS = {
+    username: "<img src=x onerror=window.pwned=1>",
+    post: '<img src=x onerror="window.pwned=1"><script>window.pwned=1</script>',
+    comment: "<svg onload=window.pwned=1></svg><b>bold</b>",
+    reply: '"><iframe src="javascript:window.pwned=1"></iframe>',
+}
+const INJECTED = "img, script, svg, iframe, b"
+
+test("h() escapes text and attribute values", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const h = page.run("h")
+
+    const node = h("div", { title: PAYLOADS.post, dataset: { id: PAYLOADS.reply } }, PAYLOADS.post, h("span", {}, 3))
+    assert.equal(node.querySelectorAll(INJECTED).length, 0)
+    assert.equal(node.firstChild.nodeType, page.window.Node.TEXT_NODE)
+    assert.equal(node.textContent, `${PAYLOADS.post}3`)
+    assert.equal(node.title, PAYLOADS.post)
+    assert.equal(node.dataset.id, PAYLOADS.reply)
+})
+
+test("h() refuses raw HTML props", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const h = page.run("h")
+
+    assert.throws(() => h("div", { innerHTML: PAYLOADS.post }))
+    assert.throws(() => h("div", { outerHTML: PAYLOADS.post }))
+})
+
+test("hostile usernames, post text and comment text show up verbatim in the feed", async (t) => {
+    let postId
+    const page = await bootPage("dashboard.html", async (run) => {
+        const author = await signUp(run, PAYLOADS.username)
+        const PostService = run("PostService")
+        const { post } = await PostService.add({ author, text: PAYLOADS.post })
+        postId = post.id
+        await PostService.addComment(post.id, { author, text: PAYLOADS.comment })
+        const [comment] = (await PostService.get(post.id)).comments
+        await PostService.addComment(post.id, { author, text: PAYLOADS.reply, parentId: comment.id })
+    })
+    t.after(page.close)
+    const feed = page.document.getElementById("feed-list")
+    const post = () => feed.querySelector(`li.post[data-id="${postId}"]`)
+    await waitFor(() => post()?.querySelector(".comment-item .comment-item"))
+    assert.equal(feed.querySelectorAll(INJECTED).length, 0)
+    assert.equal(page.window.pwned, undefined)
+
+    const username = PAYLOADS.username.toLowerCase()
+    assert.equal(post().querySelector(".post-author").textContent, username)
+    assert.equal(post().querySelector(".post-body").textContent, PAYLOADS.post)
+
+    // renderThread: the comment, then the reply nested beneath it
+    const texts = [...post().querySelectorAll(".comment-text")].map((n) => n.textContent)
+    assert.deepEqual(texts, [PAYLOADS.comment, PAYLOADS.reply])
+    const authors = [...post().querySelectorAll(".comment-head strong")].map((n) => n.textContent)
+    assert.deepEqual(authors, [username, username])
+
+    // The Comment button's count is text too
+    assert.equal(post().querySelector('[data-action="toggle-comments"] .count').textContent, "2")
+})
@@ -0,0 +1,94 @@
+// Boots a page of the app in jsdom, with script.js running against the
+// in-memory storage adapter so each test starts from empty data.
+const fs = require("node:fs")
+const path = require("node:path")
+const vm = require("node:vm")
+const { JSDOM } = require("jsdom")
+
+const ROOT = path.join(__dirname, "..", "..")
+const SCRIPT = fs.readFileSync(path.join(ROOT, "script.js"), "utf8")
+
+// Node's Web Crypto rejects ArrayBuffers from another realm (the page's);
+// typed-array views over them are fine
+const asView = (v) => (Object.prototype.toString.call(v) === "[object ArrayBuffer]" ? new Uint8Array(v) : v)
+const pageCrypto = {
+    getRandomValues: (array) => crypto.getRandomValues(array),
+    randomUUID: () => crypto.randomUUID(),
+    subtle: new Proxy(crypto.subtle, {
+        get(subtle, name) {
+            return (...args) => subtle[name](...args.map(asView))
+        },
+    }),
+}
+
+// setup(run) runs before the page initialises: seed data, sign in.
+// run(code) evaluates code in the page, e.g. run("PostService").
+// With start: false the page never initialises, for testing helpers alone.
+async function bootPage(page, setup = async () => {}, { start = true } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, page), "utf8").replace(/<script src="script.js".*?<\/script>/, "")
+    const dom = new JSDOM(html, { url: `https://example.test/${page}`, runScripts: "outside-only" })
+    const { window } = dom
+    // jsdom fires its own DOMContentLoaded after parsing; the app boots on ours
+    await new Promise((resolve) => window.document.addEventListener("DOMContentLoaded", resolve))
+
+    // What jsdom leaves out and the app relies on
+    Object.defineProperty(window, "crypto", { value: pageCrypto })
+    window.TextEncoder = TextEncoder
+    window.structuredClone = structuredClone
+    window.CSS = { escape: (value) => String(value).replace(/["\\]/g, "\\$&") }
+
+    const context = dom.getInternalVMContext()
+    const run = (code) => new vm.Script(code).runInContext(context)
+    run(SCRIPT)
+    run('AppConfig.storage = "memory"')
+
+    await setup(run)
+    if (start) window.document.dispatchEvent(new window.Event("DOMContentLoaded"))
+    return { window, document: window.document, run, close: () => window.close() }
+}
+
+let accounts = 0
+
+// Registers and signs in a user whose email is already verified
+async function signUp(run, username, password = "Correct-Horse-42") {
+    const res = await run("AuthService").register({
+        username,
+        email: `user${++accounts}@example.test`,
+        password,
+        dob: "1990-01-01",
+    })
+    if (!res.ok) throw new Error(res.error)
+    const Store = run("Store")
+    const users = await Store.get("auth.users")
+    users[res.user.username].emailVerified = true
+    await Store.set("auth.users", users)
+    return res.user.username
+}
+
+async function waitFor(check, { timeout = 2000 } = {}) {
+    const start = Date.now()
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error("Timed out waiting for the page")
+        await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+}
+
+// Replaces the page's Date with one running offset from the real clock;
+// returns advance(ms) to move it forward
+function fakeClock(window) {
+    const RealDate = window.Date
+    let offset = 0
+    window.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length ? args : [RealDate.now() + offset]))
+        }
+        static now() {
+            return RealDate.now() + offset
+        }
+    }
+    return (ms) => {
+        offset += ms
+    }
+}
+
+module.exports = { bootPage, signUp, waitFor, fakeClock }
@@ -0,0 +1,62 @@
+// Data older builds left in localStorage moves to the configured adapter
+// all at once: nothing is removed from localStorage until every key is in
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage } = require("./helpers/dom")
+
+const LEGACY = {
+    "auth.users": { alice: { username: "alice", email: "alice@example.test" } },
+    "auth.posts": [{ id: "p1", author: "alice", text: "hi" }],
+    "auth.following": ["@bob"],
+}
+
+// A page whose localStorage holds LEGACY and whose Store hasn't opened yet
+async function bootLegacy() {
+    const page = await bootPage("index.html", undefined, { start: false })
+    Object.entries(LEGACY).forEach(([key, value]) => page.window.localStorage.setItem(key, JSON.stringify(value)))
+    return page
+}
+
+test("every legacy key is copied, then cleared from localStorage", async (t) => {
+    const page = await bootLegacy()
+    t.after(page.close)
+    const Store = page.run("Store")
+
+    assert.equal((await Store.get("auth.users")).alice.email, "alice@example.test")
+    assert.equal((await Store.get("auth.posts"))[0].text, "hi")
+    for (const key of Object.keys(LEGACY)) assert.equal(page.window.localStorage.getItem(key), null)
+})
+
+test("a failed copy leaves localStorage untouched and doesn't fall back to it", async (t) => {
+    const page = await bootLegacy()
+    t.after(page.close)
+    // The adapter opens fine but drops writes to one key
+    page.run(`
+        const realMemoryAdapter = createMemoryAdapter
+        createMemoryAdapter = () => {
+            const inner = realMemoryAdapter()
+            return { ...inner, set: async (key, value) => key === "auth.posts" || inner.set(key, value) }
+        }
+    `)
+
+    await assert.rejects(page.run("Store").get("auth.users"), /auth\.posts/)
+    for (const [key, value] of Object.entries(LEGACY)) {
+        assert.equal(page.window.localStorage.getItem(key), JSON.stringify(value))
+    }
+})
+
+test("a retry after a partial copy keeps what made it across and copies the rest", async (t) => {
+    const page = await bootLegacy()
+    t.after(page.close)
+    // auth.users got across last time, and has changed since
+    page.run(`
+        const realMemoryAdapter = createMemoryAdapter
+        createMemoryAdapter = () =>
+            realMemoryAdapter({ "auth.users": { alice: { username: "alice", email: "new@example.test" } } })
+    `)
+    const Store = page.run("Store")
+
+    assert.equal((await Store.get("auth.users")).alice.email, "new@example.test")
+    assert.equal((await Store.get("auth.posts"))[0].text, "hi")
+    for (const key of Object.keys(LEGACY)) assert.equal(page.window.localStorage.getItem(key), null)
+})
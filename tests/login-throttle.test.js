@@ -0,0 +1,66 @@
+// Repeated wrong passwords slow down, then lock, the account
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp, fakeClock } = require("./helpers/dom")
+
+const PASSWORD = "Correct-Horse-42"
+
+test("failures past freeAttempts must wait out a growing delay", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const advance = fakeClock(page.window)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "typo")
+    const { freeAttempts, baseDelayMs } = page.run("AppConfig.throttle")
+
+    for (let i = 0; i <= freeAttempts; i++) {
+        const res = await AuthService.login({ username, password: "wrong" })
+        assert.equal(res.error, "Invalid username or password.")
+    }
+    // Even the right password is turned away until the delay passes
+    const waiting = await AuthService.login({ username, password: PASSWORD })
+    assert.equal(waiting.ok, false)
+    assert.match(waiting.error, /wait/)
+    assert.ok(waiting.retryAfterMs > 0 && waiting.retryAfterMs <= baseDelayMs)
+
+    advance(baseDelayMs)
+    assert.equal((await AuthService.login({ username, password: PASSWORD })).ok, true)
+})
+
+test("maxAttempts failures lock the account until lockoutMs passes", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const advance = fakeClock(page.window)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "target")
+    const { maxAttempts, maxDelayMs, lockoutMs } = page.run("AppConfig.throttle")
+
+    let res
+    for (let i = 0; i < maxAttempts; i++) {
+        advance(maxDelayMs)
+        res = await AuthService.login({ username, password: "wrong" })
+    }
+    assert.equal(res.locked, true)
+
+    const locked = await AuthService.login({ username, password: PASSWORD })
+    assert.equal(locked.ok, false)
+    assert.equal(locked.locked, true)
+
+    advance(lockoutMs)
+    assert.equal((await AuthService.login({ username, password: PASSWORD })).ok, true)
+})
+
+test("unknown usernames are throttled the same way", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const advance = fakeClock(page.window)
+    const AuthService = page.run("AuthService")
+    const { maxAttempts, maxDelayMs } = page.run("AppConfig.throttle")
+
+    let res
+    for (let i = 0; i < maxAttempts; i++) {
+        advance(maxDelayMs)
+        res = await AuthService.login({ username: "nobody", password: "wrong" })
+    }
+    assert.equal(res.locked, true)
+})
@@ -0,0 +1,67 @@
+// Boot migrates old data to the current schema, and shows the recovery
+// screen rather than an empty app when stored data can't be read
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, waitFor } = require("./helpers/dom")
+
+const RECOVERY_TITLE = "We couldn't load your saved data"
+
+test("data from a pre-versioned build is migrated, with a backup taken first", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const Store = page.run("Store")
+    const oldUsers = { alice: { email: "Alice@Example.test", password: "hunter2" } }
+    const oldPosts = [{ author: "alice", text: "hello", createdAt: "2020-01-01T00:00:00.000Z" }]
+    await Store.set("auth.users", oldUsers)
+    await Store.set("auth.posts", oldPosts)
+
+    const Migrations = page.run("Migrations")
+    const result = await Migrations.run()
+    assert.equal(result.from, 0)
+    assert.equal(result.to, Migrations.CURRENT_VERSION)
+    assert.equal(await Store.get("auth.schemaVersion"), Migrations.CURRENT_VERSION)
+
+    const backup = await Store.get("auth.backup")
+    assert.equal(backup.version, 0)
+    assert.equal(JSON.stringify(backup.data["auth.users"]), JSON.stringify(oldUsers))
+
+    const alice = (await Store.get("auth.users")).alice
+    assert.equal(alice.username, "alice")
+    assert.equal(alice.email, "alice@example.test")
+    assert.equal(alice.role, "user")
+    assert.equal(alice.emailVerified, true)
+    // Posts end up one record each
+    assert.equal(await Store.get("auth.posts"), undefined)
+    const [id] = await Store.get("auth.postIds")
+    const post = await Store.get(`auth.post.${id}`)
+    assert.equal(post.text, "hello")
+    assert.ok(Array.isArray(post.comments))
+    assert.equal(JSON.stringify(backup.data["auth.posts"]), JSON.stringify(oldPosts))
+
+    // Nothing left to do the second time
+    assert.equal((await Migrations.run()).applied.length, 0)
+})
+
+test("unreadable data shows the recovery screen and is left untouched", async (t) => {
+    const page = await bootPage("index.html", async (run) => {
+        run("console.error = () => {}") // renderDataRecovery logs the error
+        await run("Store").set("auth.users", "not an object")
+    })
+    t.after(page.close)
+    const title = () => page.document.querySelector("main h1")?.textContent
+    await waitFor(() => title() === RECOVERY_TITLE)
+
+    assert.match(page.document.querySelector("main [role=alert]").textContent, /auth\.users/)
+    assert.equal(await page.run("Store").get("auth.users"), "not an object")
+})
+
+test("data from a newer version of the app isn't touched", async (t) => {
+    const page = await bootPage("index.html", async (run) => {
+        run("console.error = () => {}") // renderDataRecovery logs the error
+        await run("Store").set("auth.schemaVersion", 999)
+    })
+    t.after(page.close)
+    await waitFor(() => page.document.querySelector("main h1")?.textContent === RECOVERY_TITLE)
+
+    assert.equal(await page.run("Store").get("auth.schemaVersion"), 999)
+})
@@ -0,0 +1,46 @@
+// Passwords are stored as salted PBKDF2 hashes, never as the password itself
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp } = require("./helpers/dom")
+
+const PASSWORD = "Correct-Horse-42"
+
+test("registering stores a salted hash and no plaintext", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    await signUp(page.run, "alice", PASSWORD)
+    await signUp(page.run, "bob", PASSWORD)
+
+    const users = await page.run("Store").get("auth.users")
+    assert.equal(users.alice.password, undefined)
+    assert.equal(users.alice.passwordHash.algorithm, "PBKDF2-SHA256")
+    assert.ok(!JSON.stringify(users).includes(PASSWORD))
+    // Same password, different salt, different hash
+    assert.notEqual(users.alice.passwordHash.salt, users.bob.passwordHash.salt)
+    assert.notEqual(users.alice.passwordHash.hash, users.bob.passwordHash.hash)
+
+    const AuthService = page.run("AuthService")
+    assert.equal((await AuthService.login({ username: "alice", password: PASSWORD })).ok, true)
+    assert.equal((await AuthService.login({ username: "alice", password: "Wrong-Horse-42" })).ok, false)
+})
+
+test("a legacy plaintext record is rehashed on its next successful login", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const Store = page.run("Store")
+    await signUp(page.run, "old", PASSWORD)
+    const users = await Store.get("auth.users")
+    delete users.old.passwordHash
+    users.old.password = PASSWORD
+    await Store.set("auth.users", users)
+
+    const AuthService = page.run("AuthService")
+    assert.equal((await AuthService.login({ username: "old", password: "not-it" })).ok, false)
+    assert.equal((await Store.get("auth.users")).old.password, PASSWORD)
+
+    assert.equal((await AuthService.login({ username: "old", password: PASSWORD })).ok, true)
+    const upgraded = (await Store.get("auth.users")).old
+    assert.equal(upgraded.password, undefined)
+    assert.equal(upgraded.passwordHash.algorithm, "PBKDF2-SHA256")
+    assert.equal((await AuthService.login({ username: "old", password: PASSWORD })).ok, true)
+})
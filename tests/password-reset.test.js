@@ -0,0 +1,56 @@
+// Reset links are single use and stop working once they expire
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp, fakeClock } = require("./helpers/dom")
+
+const NEW_PASSWORD = "Battery-Staple-77"
+
+// Requests a reset and returns the token from the emailed link
+async function requestToken(run, username) {
+    assert.equal((await run("AuthService").requestPasswordReset({ username })).ok, true)
+    const [message] = await run("Outbox").list()
+    return new URL(message.link, "https://example.test/").searchParams.get("token")
+}
+
+test("a reset link works once", async (t) => {
+    const page = await bootPage("forgot.html", undefined, { start: false })
+    t.after(page.close)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "forgetful")
+    const token = await requestToken(page.run, username)
+
+    assert.equal((await AuthService.checkResetToken(token)).ok, true)
+    assert.equal((await AuthService.resetPassword({ token, newPassword: NEW_PASSWORD })).ok, true)
+
+    assert.equal((await AuthService.checkResetToken(token)).ok, false)
+    const again = await AuthService.resetPassword({ token, newPassword: "Another-Pass-99" })
+    assert.equal(again.ok, false)
+    assert.equal((await AuthService.login({ username, password: NEW_PASSWORD })).ok, true)
+})
+
+test("requesting a new link retires the old one", async (t) => {
+    const page = await bootPage("forgot.html", undefined, { start: false })
+    t.after(page.close)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "twice")
+    const first = await requestToken(page.run, username)
+    const second = await requestToken(page.run, username)
+
+    assert.equal((await AuthService.resetPassword({ token: first, newPassword: NEW_PASSWORD })).ok, false)
+    assert.equal((await AuthService.resetPassword({ token: second, newPassword: NEW_PASSWORD })).ok, true)
+})
+
+test("a reset link stops working after tokenTtlMs", async (t) => {
+    const page = await bootPage("forgot.html", undefined, { start: false })
+    t.after(page.close)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "slow")
+    const token = await requestToken(page.run, username)
+
+    fakeClock(page.window)(page.run("AppConfig.passwordReset.tokenTtlMs"))
+
+    assert.equal((await AuthService.checkResetToken(token)).ok, false)
+    const res = await AuthService.resetPassword({ token, newPassword: NEW_PASSWORD })
+    assert.equal(res.ok, false)
+    assert.match(res.error, /invalid or has expired/)
+})
@@ -0,0 +1,72 @@
+// Posts are stored one record each, so a like or comment rewrites only the
+// post it touches
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp } = require("./helpers/dom")
+
+// A memory adapter that notes every key written; takeWrites() empties the list
+async function bootRecording() {
+    const page = await bootPage("dashboard.html", undefined, { start: false })
+    page.run(`
+        var writes = []
+        const inner = createMemoryAdapter()
+        Store.use({ ...inner, set: (key, value) => (writes.push(key), inner.set(key, value)) })
+    `)
+    return { ...page, takeWrites: () => [...page.run("writes.splice(0)")] }
+}
+
+test("likes, comments and edits write only that post's record", async (t) => {
+    const page = await bootRecording()
+    t.after(page.close)
+    const author = await signUp(page.run, "writer")
+    const PostService = page.run("PostService")
+    const { post } = await PostService.add({ author, text: "first" })
+    await PostService.add({ author, text: "second" })
+    const postWrites = () => page.takeWrites().filter((key) => key.startsWith("auth.post"))
+
+    postWrites()
+    await PostService.toggleLike(post.id, author)
+    assert.deepEqual(postWrites(), [`auth.post.${post.id}`])
+    await PostService.addComment(post.id, { author, text: "a comment" })
+    assert.deepEqual(postWrites(), [`auth.post.${post.id}`])
+    await PostService.editPost(post.id, "first, edited")
+    assert.deepEqual(postWrites(), [`auth.post.${post.id}`])
+
+    const texts = [...(await PostService.list())].map((p) => p.text).sort()
+    assert.deepEqual(texts, ["first, edited", "second"])
+})
+
+test("deleting a post drops its record and its place in the index", async (t) => {
+    const page = await bootRecording()
+    t.after(page.close)
+    const author = await signUp(page.run, "tidy")
+    const PostService = page.run("PostService")
+    const Store = page.run("Store")
+    const { post } = await PostService.add({ author, text: "short-lived" })
+
+    assert.equal((await PostService.deletePost(post.id)).ok, true)
+    assert.equal(await Store.get(`auth.post.${post.id}`), undefined)
+    assert.deepEqual([...(await Store.get("auth.postIds"))], [])
+    assert.equal(await PostService.get(post.id), null)
+})
+
+test("the localStorage adapter hands out copies and reads back what was written", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const adapter = page.run("createLocalStorageAdapter()")
+
+    await adapter.set("k", { list: [1] })
+    const first = await adapter.get("k")
+    first.list.push(2)
+    assert.deepEqual([...(await adapter.get("k")).list], [1])
+
+    const value = { list: [1] }
+    await adapter.set("k", value)
+    value.list.push(3)
+    assert.deepEqual([...(await adapter.get("k")).list], [1])
+    assert.equal(page.window.localStorage.getItem("k"), '{"list":[1]}')
+
+    const many = await adapter.getMany(["k", "missing"])
+    assert.equal(many.length, 2)
+    assert.equal(many[1], undefined)
+})
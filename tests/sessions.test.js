@@ -0,0 +1,76 @@
+// Sessions end at their expiry or after idleTimeoutMs without activity,
+// and "Remember me" decides where the browser keeps the session id
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp, fakeClock } = require("./helpers/dom")
+
+const PASSWORD = "Correct-Horse-42"
+
+test("the session id lives in sessionStorage unless Remember me is ticked", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const { localStorage, sessionStorage } = page.window
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "tabby")
+
+    await AuthService.login({ username, password: PASSWORD })
+    assert.equal(localStorage.getItem("auth.session"), null)
+    const id = sessionStorage.getItem("auth.session")
+    assert.ok(id)
+    assert.equal((await page.run("Store").get("auth.sessions"))[id].persistent, false)
+
+    await AuthService.login({ username, password: PASSWORD, remember: true })
+    assert.equal(sessionStorage.getItem("auth.session"), null)
+    assert.ok(localStorage.getItem("auth.session"))
+    assert.equal((await AuthService.getCurrentUser()).username, username)
+})
+
+test("a session ends after idleTimeoutMs without activity", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const advance = fakeClock(page.window)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "idle")
+    const { idleTimeoutMs } = page.run("AppConfig.session")
+
+    // Activity pushes the idle window forward
+    advance(idleTimeoutMs - 1000)
+    assert.equal((await AuthService.getCurrentUser()).username, username)
+    advance(idleTimeoutMs - 1000)
+    assert.equal(await AuthService.checkSession(), true)
+
+    // checkSession isn't activity, so this is past the window
+    advance(1000)
+    assert.equal(await AuthService.checkSession(), false)
+    assert.equal(await AuthService.getCurrentUser(), null)
+    assert.equal(page.window.sessionStorage.getItem("auth.session"), null)
+})
+
+test("a session ends at its expiry however active it is", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const advance = fakeClock(page.window)
+    const AuthService = page.run("AuthService")
+    const username = await signUp(page.run, "busy")
+    const { ttlMs, idleTimeoutMs } = page.run("AppConfig.session")
+
+    const step = idleTimeoutMs / 2
+    for (let elapsed = step; elapsed < ttlMs; elapsed += step) {
+        advance(step)
+        assert.equal((await AuthService.getCurrentUser())?.username, username)
+    }
+    advance(step)
+    assert.equal(await AuthService.getCurrentUser(), null)
+})
+
+test("logging out removes the session record", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const AuthService = page.run("AuthService")
+    await signUp(page.run, "leaving")
+    const id = page.window.sessionStorage.getItem("auth.session")
+
+    await AuthService.logout()
+    assert.equal(await AuthService.getCurrentUser(), null)
+    assert.equal((await page.run("Store").get("auth.sessions"))[id], undefined)
+})
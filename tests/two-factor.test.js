@@ -0,0 +1,81 @@
+// TOTP two-factor: no session without the second step, backup codes work
+// once, and turning it off takes the password as well as a code
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { bootPage, signUp, fakeClock } = require("./helpers/dom")
+
+const PASSWORD = "Correct-Horse-42"
+
+// Signs up and turns 2FA on; returns the secret and backup codes
+async function enrol(run, username) {
+    await signUp(run, username, PASSWORD)
+    const AuthService = run("AuthService")
+    const Totp = run("Totp")
+    const { secret } = await AuthService.beginTwoFactorSetup()
+    const res = await AuthService.confirmTwoFactorSetup({ code: await Totp.codeAt(secret, Totp.currentStep()) })
+    assert.equal(res.ok, true)
+    return { secret, backupCodes: res.backupCodes }
+}
+
+test("login with 2FA on needs a current code before there is a session", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const advance = fakeClock(page.window)
+    const AuthService = page.run("AuthService")
+    const Totp = page.run("Totp")
+    const { secret } = await enrol(page.run, "careful")
+    await AuthService.logout()
+
+    const first = await AuthService.login({ username: "careful", password: PASSWORD })
+    assert.equal(first.mfaRequired, true)
+    assert.equal(await AuthService.getCurrentUser(), null)
+
+    assert.equal((await AuthService.completeTwoFactorLogin({ challenge: first.challenge, code: "000000" })).ok, false)
+    // The setup code's time step is spent, so wait for the next one
+    advance(30 * 1000)
+    const code = await Totp.codeAt(secret, Totp.currentStep())
+    assert.equal((await AuthService.completeTwoFactorLogin({ challenge: first.challenge, code })).ok, true)
+    assert.equal((await AuthService.getCurrentUser()).username, "careful")
+
+    // A code can't be replayed
+    await AuthService.logout()
+    const second = await AuthService.login({ username: "careful", password: PASSWORD })
+    assert.equal((await AuthService.completeTwoFactorLogin({ challenge: second.challenge, code })).ok, false)
+})
+
+test("each backup code signs in once", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const AuthService = page.run("AuthService")
+    const { backupCodes } = await enrol(page.run, "backup")
+    await AuthService.logout()
+
+    const login = () => AuthService.login({ username: "backup", password: PASSWORD })
+    const first = await login()
+    assert.equal(
+        (await AuthService.completeTwoFactorLogin({ challenge: first.challenge, code: backupCodes[0] })).ok,
+        true,
+    )
+    assert.equal((await AuthService.getCurrentUser()).backupCodesLeft, backupCodes.length - 1)
+    await AuthService.logout()
+
+    const second = await login()
+    const reused = await AuthService.completeTwoFactorLogin({ challenge: second.challenge, code: backupCodes[0] })
+    assert.equal(reused.ok, false)
+})
+
+test("turning 2FA off takes the current password and a code", async (t) => {
+    const page = await bootPage("index.html", undefined, { start: false })
+    t.after(page.close)
+    const AuthService = page.run("AuthService")
+    const { backupCodes } = await enrol(page.run, "settings")
+
+    const wrong = await AuthService.disableTwoFactor({ password: "Wrong-Horse-42", code: backupCodes[0] })
+    assert.equal(wrong.ok, false)
+    assert.equal((await AuthService.disableTwoFactor({ password: PASSWORD, code: "000000" })).ok, false)
+    assert.equal((await AuthService.getCurrentUser()).twoFactorEnabled, true)
+
+    // The wrong password didn't burn the backup code
+    assert.equal((await AuthService.disableTwoFactor({ password: PASSWORD, code: backupCodes[0] })).ok, true)
+    assert.equal((await AuthService.getCurrentUser()).twoFactorEnabled, false)
+})